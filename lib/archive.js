@@ -0,0 +1,220 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DATA_DIR } = require('./paths');
+
+const DEFAULT_ARCHIVE_DIR = path.join(DATA_DIR, 'recordings');
+
+// Temp recordings (and bin/vox's transcript files) from bin/vox and vox-debug,
+// and the private directories vox listen records into. vox deletes its own after
+// each run, so any still there are left over from a crash or a debug session.
+const TEMP_DIRS = [...new Set(['/tmp', os.tmpdir()])];
+const TEMP_PATTERN = /^(quick_rec_|vox_debug_).*\.(wav|out)$/;
+const LISTEN_DIR_PATTERN = /^vox_listen_(\d+)_/;
+
+// A temp file touched this recently may still be recording
+const TEMP_GRACE_MS = 10 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MB = 1024 * 1024;
+
+function archiveDir(config) {
+  const dir = config.archive.dir;
+  if (!dir) {
+    return DEFAULT_ARCHIVE_DIR;
+  }
+  return dir.startsWith('~/') ? path.join(os.homedir(), dir.slice(2)) : path.resolve(dir);
+}
+
+// Local time, e.g. 20261019_143205
+function fileStamp(date = new Date()) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}_`
+    + `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+function fileInfo(file, kind) {
+  const stat = fs.statSync(file);
+  return { path: file, name: path.basename(file), kind, size: stat.size, mtime: stat.mtimeMs, uid: stat.uid };
+}
+
+function readDir(dir) {
+  // Missing, or another user's vox listen directory
+  try {
+    return fs.readdirSync(dir);
+  } catch {
+    return [];
+  }
+}
+
+function listDir(dir, pattern, kind) {
+  return readDir(dir)
+    .filter((name) => pattern.test(name))
+    .flatMap((name) => {
+      // Gone between readdir and stat (another vox finished) - skip it
+      try {
+        return [fileInfo(path.join(dir, name), kind)];
+      } catch {
+        return [];
+      }
+    });
+}
+
+// Archived recordings, newest first
+function listArchive(config) {
+  return listDir(archiveDir(config), /\.wav$/, 'archive').sort((a, b) => b.mtime - a.mtime);
+}
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// vox_listen_<pid>_XXXXXX directories whose vox listen is no longer running
+function listenDirs() {
+  return TEMP_DIRS.flatMap((dir) => readDir(dir)
+    .filter((name) => {
+      const match = name.match(LISTEN_DIR_PATTERN);
+      return match && !processAlive(Number(match[1]));
+    })
+    .map((name) => path.join(dir, name)));
+}
+
+// Only our own: /tmp is shared, and other users' recordings are theirs to clean up
+function listTemp() {
+  return [
+    ...TEMP_DIRS.flatMap((dir) => listDir(dir, TEMP_PATTERN, 'temp')),
+    ...listenDirs().flatMap((dir) => listDir(dir, /\.wav$/, 'temp'))
+  ]
+    .filter((file) => file.uid === process.getuid())
+    .sort((a, b) => b.mtime - a.mtime);
+}
+
+// Retention from config (archive.keep / maxDays / maxSizeMB), null meaning no limit
+function configPolicy(config) {
+  const { keep, maxDays, maxSizeMB } = config.archive;
+  return {
+    keep,
+    olderThanMs: maxDays ? maxDays * DAY_MS : null,
+    maxBytes: maxSizeMB ? maxSizeMB * MB : null
+  };
+}
+
+// Files (newest first) that break any limit of the policy, each with the reason
+function selectForRemoval(files, { keep = null, olderThanMs = null, maxBytes = null }, now = Date.now()) {
+  const removals = [];
+  let total = 0;
+
+  files.forEach((file, index) => {
+    total += file.size;
+    let reason = null;
+    if (keep !== null && index >= keep) {
+      reason = `beyond newest ${keep}`;
+    } else if (olderThanMs !== null && now - file.mtime > olderThanMs) {
+      reason = `older than ${Math.round(olderThanMs / DAY_MS * 10) / 10} days`;
+    } else if (maxBytes !== null && total > maxBytes) {
+      reason = `over ${Math.round(maxBytes / MB)} MB total`;
+    }
+    if (reason) {
+      removals.push({ ...file, reason });
+    }
+  });
+  return removals;
+}
+
+// Removes what it can; returns the files that could not be removed, each with the error
+function removeFiles(files, dryRun) {
+  const failed = [];
+  if (!dryRun) {
+    for (const file of files) {
+      try {
+        fs.rmSync(file.path, { force: true });
+      } catch (error) {
+        failed.push({ ...file, error: error.message });
+      }
+    }
+  }
+  return failed;
+}
+
+// Move a finished recording into the archive and apply retention.
+// Returns the archived path, or null when the archive is off. failed: the
+// transcription failed, so keep the recording for a retry even then.
+function archiveRecording(file, config, { failed = false } = {}) {
+  if (!config.archive.enabled && !failed) {
+    return null;
+  }
+  const dir = archiveDir(config);
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+
+  const stamp = fileStamp();
+  let target = path.join(dir, `vox_${stamp}.wav`);
+  for (let n = 2; fs.existsSync(target); n++) {
+    target = path.join(dir, `vox_${stamp}_${n}.wav`);
+  }
+
+  try {
+    fs.renameSync(file, target);
+  } catch (error) {
+    // /tmp is often another filesystem
+    if (error.code !== 'EXDEV') {
+      throw error;
+    }
+    fs.copyFileSync(file, target);
+    fs.rmSync(file, { force: true });
+  }
+  fs.chmodSync(target, 0o600);
+
+  removeFiles(selectForRemoval(listArchive(config), configPolicy(config)), false);
+  return target;
+}
+
+// What vox-cleanup does: archive retention (from config unless overridden)
+// plus leftover temp files. Returns { removed, failed, kept, freedBytes }.
+function cleanup(config, { policy = configPolicy(config), all = false, dryRun = false } = {}, now = Date.now()) {
+  const archived = listArchive(config);
+  const temp = listTemp();
+
+  const selected = [
+    ...selectForRemoval(archived, all ? { keep: 0 } : policy, now),
+    ...temp
+      .filter((file) => now - file.mtime > TEMP_GRACE_MS)
+      .map((file) => ({ ...file, reason: 'leftover temp file' }))
+  ];
+  const failed = removeFiles(selected, dryRun);
+  const failedPaths = new Set(failed.map((file) => file.path));
+  const removed = selected.filter((file) => !failedPaths.has(file.path));
+  if (!dryRun) {
+    // vox listen directories emptied above
+    for (const dir of listenDirs()) {
+      try {
+        fs.rmdirSync(dir);
+      } catch {
+        // Not empty: a recording within the grace period, or another user's
+      }
+    }
+  }
+
+  const selectedPaths = new Set(selected.map((file) => file.path));
+  return {
+    removed,
+    failed,
+    kept: [...archived, ...temp].filter((file) => !selectedPaths.has(file.path)),
+    freedBytes: removed.reduce((sum, file) => sum + file.size, 0)
+  };
+}
+
+module.exports = {
+  DEFAULT_ARCHIVE_DIR,
+  archiveDir,
+  listArchive,
+  listTemp,
+  configPolicy,
+  selectForRemoval,
+  archiveRecording,
+  cleanup
+};
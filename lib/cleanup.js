@@ -0,0 +1,247 @@
+const http = require('http');
+const https = require('https');
+
+// Optional pass over the transcript (cleanup.enabled) that removes disfluencies
+// and fixes capitalization and punctuation. Two engines:
+//   builtin - the rules below, offline and instant
+//   llm     - any OpenAI-compatible chat endpoint (llama.cpp, Ollama, LM Studio, vLLM)
+// The llm engine falls back to builtin when the endpoint fails.
+const ENGINES = ['builtin', 'llm'];
+
+// Removed wherever they appear
+const FILLERS = ['um', 'umm', 'uh', 'uhh', 'uhm', 'erm', 'er', 'ah', 'hmm', 'mm', 'mhm'];
+
+// Ordinary words too, so only removed when set off by commas or opening a sentence
+const DISCOURSE_MARKERS = ['you know', 'i mean', 'like', 'so', 'well', 'okay so', 'sort of', 'kind of'];
+
+// Doubled words that are usually grammatical ("I know that that works")
+const REPEATS_ALLOWED = ['that', 'had', 'is', 'do'];
+
+// cleanup.rephrase with the builtin engine: hedges and politeness that don't
+// belong in a prompt, removed at the start of a sentence
+const HEDGES = [
+  'i was wondering if you could',
+  'i was wondering if we could',
+  'could you please',
+  'can you please',
+  'could you',
+  'can you',
+  'would you mind',
+  "i'd like you to",
+  'i would like you to',
+  'i want you to',
+  'i need you to',
+  'i think we should',
+  'we should probably',
+  'maybe we should',
+  'please',
+  'basically',
+  'actually'
+];
+
+const SYSTEM_PROMPT = [
+  'You clean up dictated text.',
+  'Remove filler words (um, uh, like, you know), false starts and repeated words,',
+  'fix capitalization and punctuation and split run-on sentences.',
+  'Otherwise keep the wording, the meaning and the language of the text.',
+  'Keep code identifiers, file names, commands and technical terms exactly as written.',
+  'Reply with the cleaned text only - no introduction, notes or quotes.'
+].join(' ');
+
+const REPHRASE_PROMPT = [
+  'Then rewrite it as a concise, direct instruction for a coding assistant:',
+  'drop hedging and politeness, keep every requirement and detail.'
+].join(' ');
+
+function phrasePattern(phrases) {
+  return phrases
+    .map((phrase) => phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '[\\s,]+'))
+    .join('|');
+}
+
+// Runs `step` until the text stops changing ("So, like, um, ..." needs a few rounds)
+function untilStable(text, step) {
+  let previous;
+  let result = text;
+  for (let round = 0; round < 5 && result !== previous; round++) {
+    previous = result;
+    result = step(result);
+  }
+  return result;
+}
+
+// "and, uh, bump" and "is, you know, failing": the commas only set off the filler
+function removeDisfluencies(text) {
+  const fillers = new RegExp(`(,?)[ \\t]*\\b(?:${phrasePattern(FILLERS)})\\b([,;]?)`, 'gi');
+  const markers = phrasePattern(DISCOURSE_MARKERS);
+  const betweenCommas = new RegExp(`,(?:[ \\t]*\\b(?:${markers})\\b[ \\t]*,)+`, 'gi');
+  const sentenceStart = new RegExp(`(^|[.!?][ \\t]+|\\n[ \\t]*)[,;]?[ \\t]*(?:${markers}),[ \\t]*`, 'gi');
+  const allowed = REPEATS_ALLOWED.join('|');
+  const repeated = new RegExp(`\\b(?!(?:${allowed})\\b)(\\p{L}+(?: \\p{L}+)?)(?:,?[ \\t]+\\1\\b)+`, 'giu');
+
+  return untilStable(text, (current) => current
+    .replace(sentenceStart, '$1')
+    .replace(betweenCommas, ' ')
+    .replace(fillers, (match, before, after) => (before && after ? ' ' : before))
+    .replace(repeated, '$1'));
+}
+
+function removeHedges(text) {
+  const hedges = new RegExp(`(^|[.!?][ \\t]+|\\n[ \\t]*)(?:${phrasePattern(HEDGES)})\\b,?[ \\t]*`, 'gi');
+  return untilStable(text, (current) => current.replace(hedges, '$1'))
+    // "...the upload function?" was a request, not a question
+    .replace(/\?(?=\s|$)/g, '.');
+}
+
+function fixPunctuation(text) {
+  return untilStable(text, (current) => current
+    .replace(/[ \t]{2,}/g, ' ')
+    .replace(/[ \t]+([,.;:!?])/g, '$1')
+    .replace(/[,;:]+(?=[.!?])/g, '')
+    .replace(/([.!?])[,;]+/g, '$1')
+    .replace(/,{2,}/g, ',')
+    .replace(/(^|\n)[ \t]*[,;:.]+[ \t]*/g, '$1')
+    .replace(/([,;])(?=\p{L})/gu, '$1 ')
+    .replace(/^[ \t]+|[ \t]+$/gm, ''))
+    .trim();
+}
+
+// Words like getUserName, MAX_RETRIES, package.json or v2 keep their case
+function looksLikeCode(word) {
+  return /[_\d./\\]|\p{Ll}\p{Lu}/u.test(word);
+}
+
+function fixCapitalization(text, language) {
+  let result = text.replace(/(^|[.!?][ \t]+|\n[ \t]*)(\p{Ll}[^\s]*)/gu, (match, before, word) => (
+    looksLikeCode(word) ? match : `${before}${word.charAt(0).toUpperCase()}${word.slice(1)}`
+  ));
+  if (language === 'en') {
+    result = result.replace(/\bi(?=\b(?:'m|'ve|'ll|'d)?(?![\w-]))/g, 'I');
+  }
+  // Finish the last sentence of each line unless it already ends in punctuation or code
+  return result.split('\n').map((line) => (
+    /[\p{L}\p{N}]$/u.test(line) && !looksLikeCode(line.split(/\s/).pop()) ? `${line}.` : line
+  )).join('\n');
+}
+
+// The builtin engine. Segments (subtitle cues) end mid-sentence, so they only
+// get the removals and spacing fixes, not capitalization: { sentence: false }.
+function cleanText(text, { language = 'en', rephrase = false, sentence = true } = {}) {
+  let result = fixPunctuation(removeDisfluencies(text));
+  if (rephrase) {
+    result = fixPunctuation(removeHedges(result));
+  }
+  return sentence && result ? fixCapitalization(result, language) : result;
+}
+
+// POST { model, messages } to <url>/chat/completions and return the reply text
+function chatCompletion(settings, messages) {
+  const url = new URL(`${settings.url.replace(/\/+$/, '')}/chat/completions`);
+  const client = url.protocol === 'https:' ? https : http;
+  const apiKey = settings.apiKey || process.env.KOSHI_VOX_LLM_API_KEY;
+  const payload = Buffer.from(JSON.stringify({ model: settings.model, messages, temperature: 0, stream: false }));
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': payload.length,
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      }
+    }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf-8');
+        let data = null;
+        try {
+          data = JSON.parse(raw);
+        } catch {
+          reject(new Error(`${url.host} returned ${res.statusCode} without JSON`));
+          return;
+        }
+        if (res.statusCode !== 200) {
+          const detail = data && data.error ? (data.error.message || data.error) : `HTTP ${res.statusCode}`;
+          reject(new Error(`${url.host}: ${detail}`));
+          return;
+        }
+        const content = data && data.choices && data.choices[0] && data.choices[0].message
+          ? data.choices[0].message.content
+          : null;
+        if (typeof content !== 'string') {
+          reject(new Error(`${url.host} sent no chat completion`));
+          return;
+        }
+        resolve(content);
+      });
+    });
+
+    req.setTimeout(settings.timeoutMs, () => {
+      req.destroy(new Error(`${url.host} did not respond within ${settings.timeoutMs}ms`));
+    });
+    req.on('error', (error) => {
+      reject(error.code === 'ECONNREFUSED' ? new Error(`Nothing listening at ${settings.url}`) : error);
+    });
+    req.write(payload);
+    req.end();
+  });
+}
+
+// Reasoning models (DeepSeek-R1, Qwen3) think out loud first; some models quote the answer
+function replyText(content) {
+  return content
+    .replace(/<think>[\s\S]*?<\/think>/g, '')
+    .trim()
+    .replace(/^"([\s\S]*)"$/, '$1')
+    .trim();
+}
+
+async function llmClean(text, cleanup) {
+  const messages = [
+    { role: 'system', content: cleanup.rephrase ? `${SYSTEM_PROMPT} ${REPHRASE_PROMPT}` : SYSTEM_PROMPT },
+    { role: 'user', content: text }
+  ];
+  const reply = replyText(await chatCompletion(cleanup.llm, messages));
+  if (!reply) {
+    throw new Error(`${cleanup.llm.model} returned an empty reply`);
+  }
+  return reply;
+}
+
+// Cleans `text` with cleanup.engine. Returns { text, engine, error }: engine is
+// the one that produced the text, error why llm fell back to builtin.
+async function cleanTranscriptText(text, cleanup, language) {
+  const options = { language, rephrase: cleanup.rephrase };
+  if (cleanup.engine === 'llm' && text.trim()) {
+    try {
+      return { text: await llmClean(text, cleanup), engine: 'llm', error: null };
+    } catch (error) {
+      return { text: cleanText(text, options), engine: 'builtin', error };
+    }
+  }
+  return { text: cleanText(text, options), engine: 'builtin', error: null };
+}
+
+// The transcript result with its text cleaned. Segments always use the builtin
+// engine: one LLM round-trip per subtitle cue would be slow and could shift words
+// between cues. `onFallback` is told when the llm engine failed.
+async function applyCleanup(result, cleanup, { onFallback } = {}) {
+  if (!cleanup.enabled || !result.text) {
+    return result;
+  }
+  const cleaned = await cleanTranscriptText(result.text, cleanup, result.language);
+  if (cleaned.error && onFallback) {
+    onFallback(cleaned.error);
+  }
+  return {
+    ...result,
+    text: cleaned.text,
+    segments: (result.segments || []).map((segment) => ({
+      ...segment,
+      text: cleanText(segment.text, { language: result.language, sentence: false })
+    }))
+  };
+}
+
+module.exports = { ENGINES, cleanText, chatCompletion, llmClean, cleanTranscriptText, applyCleanup };
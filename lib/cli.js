@@ -0,0 +1,1449 @@
+#!/usr/bin/env node
+// Node-side subcommands for bin/vox (`vox <command> ...`)
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { colors, symbols, onKeypress, CTRL_C } = require('./ui');
+const server = require('./server');
+const config = require('./config');
+const { Recorder, describeBackends, selectBackend, listDevices, resolveDevice } = require('./recorder');
+const { LevelMeter, formatTime } = require('./meter');
+const { NOISE_FLOOR_DB } = require('./levels');
+const { SilenceDetector } = require('./vad');
+const { LiveTranscriber } = require('./live');
+const history = require('./history');
+const archive = require('./archive');
+const clipboard = require('./clipboard');
+const { pasteText } = require('./paste');
+const hotkeys = require('./hotkeys');
+const notifier = require('./notify');
+const sounds = require('./sounds');
+const vocabulary = require('./vocabulary');
+const rules = require('./rules');
+const templates = require('./templates');
+const { applyCleanup, cleanTranscriptText } = require('./cleanup');
+const { checkAudioFile, transcribeFiles } = require('./transcribe');
+const { EXTENSIONS, formatTranscript } = require('./formats');
+const { HEADER_SIZE, pcmDuration } = require('./wav');
+
+// Exit code bin/vox uses to detect "no server, fall back to in-process Python"
+const EXIT_SERVER_DOWN = 3;
+
+// Same as a shell reports for Ctrl+C
+const EXIT_INTERRUPTED = 130;
+
+// The text rules, then the optional cleanup pass. A failing LLM endpoint
+// doesn't lose the transcript: it's cleaned by the builtin engine instead.
+function processTranscript(result, current) {
+  return applyCleanup(rules.applyRulesToResult(result, current.rules), current.cleanup, {
+    onFallback: (error) => console.error(`${colors.orange}${symbols.warning} LLM cleanup failed, used builtin: ${error.message}${colors.reset}`)
+  });
+}
+
+// What bin/vox reads: the processed transcript in output.format, then a tab-separated
+// META line with the (detected) source language, its probability in percent and the
+// task. No speech prints nothing in any format, so bin/vox can tell it apart.
+// Formats other than text are followed by the plain transcript, after a line
+// starting with RS (\x1e), for the history and notifications.
+async function printTranscript(result, current) {
+  const processed = await processTranscript(result, current);
+  console.log(processed.text ? formatTranscript(processed, current.output.format) : '');
+  if (processed.text && current.output.format !== 'text') {
+    console.log(`\x1e${processed.text}`);
+  }
+  console.log(['META', result.language, Math.round(result.language_probability * 100), result.task].join('\t'));
+}
+
+function printServerStatus(status) {
+  if (status.running) {
+    console.log(`${colors.lime}${symbols.check} Transcription server running${colors.reset}`);
+    console.log(`${colors.gray}  PID: ${colors.white}${status.pid}${colors.reset}`);
+    console.log(`${colors.gray}  URL: ${colors.white}http://127.0.0.1:${status.port}${colors.reset}`);
+    console.log(`${colors.gray}  Model: ${colors.white}${status.model}${colors.reset}`);
+  } else if (status.pid) {
+    console.log(`${colors.orange}${symbols.gear} Transcription server starting (PID ${status.pid})${colors.reset}`);
+  } else {
+    console.log(`${colors.gray}Transcription server not running${colors.reset}`);
+  }
+  console.log(`${colors.gray}  Log: ${status.logFile}${colors.reset}`);
+}
+
+async function serverCommand(args) {
+  const [action = 'status', file] = args;
+
+  switch (action) {
+    case 'start': {
+      console.log(`${colors.cyan}${symbols.brain} Starting transcription server (loading model)...${colors.reset}`);
+      const status = await server.startServer();
+      if (status.alreadyRunning) {
+        console.log(`${colors.gray}Already running${colors.reset}`);
+      }
+      printServerStatus(status);
+      return 0;
+    }
+
+    case 'stop': {
+      const stopped = await server.stopServer();
+      console.log(stopped
+        ? `${colors.lime}${symbols.check} Transcription server stopped${colors.reset}`
+        : `${colors.gray}Transcription server not running${colors.reset}`);
+      return 0;
+    }
+
+    case 'restart': {
+      await server.stopServer();
+      return serverCommand(['start']);
+    }
+
+    case 'status': {
+      const status = await server.serverStatus();
+      printServerStatus(status);
+      return status.running ? 0 : 1;
+    }
+
+    // Used by bin/vox: prints the transcript, or "ERROR: ..." like the Python fallback
+    case 'transcribe':
+    case 'upload': {
+      if (!file) {
+        console.log('ERROR: No audio file specified');
+        return 1;
+      }
+      try {
+        const current = config.currentConfig();
+        const result = action === 'upload'
+          ? await server.transcribeUpload(fs.readFileSync(file), current, { timeout: null })
+          : await server.transcribeFile(file, current);
+        await printTranscript(result, current);
+        return 0;
+      } catch (error) {
+        // 401: not our server (another user's on this port) - transcribe without it
+        if (error.code === 'ENOSERVER' || error.status === 401) {
+          return EXIT_SERVER_DOWN;
+        }
+        console.log(`ERROR: ${error.message}`);
+        return 1;
+      }
+    }
+
+    default:
+      console.error(`${colors.red}${symbols.cross} Unknown server command: ${action}${colors.reset}`);
+      console.error(`${colors.gray}Usage: vox server [start|stop|restart|status]${colors.reset}`);
+      return 1;
+  }
+}
+
+async function configCommand(args) {
+  const [action = 'show', key, value] = args;
+
+  switch (action) {
+    // Machine-readable effective config, consumed by bin/vox
+    // Extra key=value arguments are one-off overrides from command-line flags.
+    // Includes the vocabulary for the current directory.
+    case '--json':
+      console.log(JSON.stringify(vocabulary.withVocabulary(config.applyOverrides(config.loadConfig(), args.slice(1)))));
+      return 0;
+
+    // Used by bin/vox to check a flag's value while parsing: key=value overrides
+    // against the defaults, so a broken config.json isn't blamed on the flag.
+    // Prints the problem (plain, for the caller to word) and exits 1.
+    case 'check':
+      try {
+        config.applyOverrides(config.DEFAULTS, args.slice(1));
+      } catch (error) {
+        console.log(error.message);
+        return 1;
+      }
+      return 0;
+
+    case 'show':
+      console.log(`${colors.gray}# ${config.CONFIG_PATH}${colors.reset}`);
+      console.log(JSON.stringify(config.loadConfig(), null, 2));
+      return 0;
+
+    case 'path':
+      console.log(config.CONFIG_PATH);
+      return 0;
+
+    // Inside bin/vox this sees the flags too (KOSHI_VOX_CONFIG)
+    case 'get': {
+      const current = config.getValue(config.currentConfig(), key || '');
+      if (current === undefined) {
+        console.error(`${colors.red}${symbols.cross} Unknown config key: ${key}${colors.reset}`);
+        return 1;
+      }
+      console.log(typeof current === 'string' ? current : JSON.stringify(current, null, 2));
+      return 0;
+    }
+
+    case 'set': {
+      if (!key || value === undefined) {
+        console.error(`${colors.gray}Usage: vox config set <key> <value>${colors.reset}`);
+        return 1;
+      }
+      const saved = config.setValue(key, value);
+      console.log(`${colors.lime}${symbols.check} ${key} = ${JSON.stringify(saved)}${colors.reset}`);
+      return 0;
+    }
+
+    case 'unset':
+      config.unsetValue(key || '');
+      console.log(`${colors.lime}${symbols.check} ${key} reset to default${colors.reset}`);
+      return 0;
+
+    default:
+      console.error(`${colors.red}${symbols.cross} Unknown config command: ${action}${colors.reset}`);
+      console.error(`${colors.gray}Usage: vox config [show|path|get <key>|set <key> <value>|unset <key>]${colors.reset}`);
+      return 1;
+  }
+}
+
+// The message, and the .hint on how to fix it when the error has one
+function printError(error) {
+  console.error(`${colors.red}${symbols.cross} ${error.message}${colors.reset}`);
+  if (error.hint) {
+    console.error(`${colors.orange}${symbols.gear} ${error.hint}${colors.reset}`);
+  }
+}
+
+// Parse "--name value" options into an object, leaving positionals in order
+function parseOptions(args, names) {
+  const options = {};
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    const name = args[i].replace(/^--/, '');
+    if (args[i].startsWith('--') && names.includes(name)) {
+      options[name] = args[i + 1];
+      i++;
+    } else if (args[i].startsWith('--')) {
+      options[name] = true;
+    } else {
+      positional.push(args[i]);
+    }
+  }
+  return { options, positional };
+}
+
+// Used by bin/vox and vox-debug: record into <file> until a key is pressed.
+// In live mode the transcript is printed like `server transcribe` does.
+// --quiet (vox -q): errors only, no warnings.
+async function recordCommand(args) {
+  const { options, positional } = parseOptions(args, ['max']);
+  const [file] = positional;
+  if (!file) {
+    console.error(`${colors.gray}Usage: vox record <file.wav> [--max <seconds>] [--meter] [--quiet] [--verbose]${colors.reset}`);
+    return 1;
+  }
+
+  const current = config.currentConfig();
+  const { autoStop } = current.recorder;
+
+  // Live transcripts need the model already loaded
+  let liveMode = current.live;
+  if (liveMode && !(await server.serverStatus()).running) {
+    liveMode = false;
+    if (!options.quiet) {
+      console.error(`${colors.orange}${symbols.gear} Live transcripts need the server (vox server start) - transcribing after recording instead${colors.reset}`);
+    }
+  }
+
+  let recorder;
+  try {
+    recorder = new Recorder({
+      backend: current.recorder.backend,
+      device: current.recorder.device,
+      file,
+      maxDuration: options.max ? Number(options.max) : current.recorder.maxSeconds
+    });
+    await recorder.start();
+  } catch (error) {
+    printError(error);
+    return 1;
+  }
+
+  if (options.verbose) {
+    console.error(`Using ${recorder.backendName} for recording (${recorder.device ? `device ${recorder.device}` : 'default input'})...`);
+  }
+
+  let interrupted = false;
+  let failure = null;
+  recorder.on('error', (error) => {
+    failure = error;
+  });
+
+  // First reason wins: key, signal, silence or max (the recorder's own limit)
+  let stopReason = null;
+  const stop = (reason) => {
+    stopReason = stopReason || reason;
+    recorder.stop();
+  };
+
+  // Hands-free: stop once the speaker pauses (a key still works too)
+  if (autoStop.enabled) {
+    const detector = new SilenceDetector(autoStop);
+    recorder.on('level', (levels) => {
+      if (detector.feed(levels)) {
+        stop('silence');
+      }
+    });
+  }
+
+  // Live level bar on the terminal (stderr, so it never mixes with piped output)
+  const hint = autoStop.enabled
+    ? `Stops after ${autoStop.silenceSeconds}s of silence (or press any key)`
+    : undefined;
+  const meter = options.meter && process.stderr.isTTY ? new LevelMeter(recorder, { hint }).start() : null;
+
+  const live = liveMode ? new LiveTranscriber(recorder, current).start() : null;
+  if (live && meter) {
+    meter.setTranscript({ committed: '', provisional: '' });
+    live.on('update', (update) => meter.setTranscript(update));
+  }
+
+  // Any key stops the recording; Ctrl+C stops it and reports the interruption
+  const restoreTerminal = onKeypress((key) => {
+    interrupted = key === CTRL_C;
+    stop('key');
+  });
+  const onSignal = () => {
+    interrupted = true;
+    stop('signal');
+  };
+  process.once('SIGINT', onSignal);
+  process.once('SIGTERM', onSignal);
+
+  const summary = await new Promise((resolve) => recorder.once('end', resolve));
+
+  if (meter) {
+    meter.stop();
+  }
+  restoreTerminal();
+  process.removeListener('SIGINT', onSignal);
+  process.removeListener('SIGTERM', onSignal);
+
+  if (failure) {
+    if (live) {
+      live.cancel();
+    }
+    printError(failure);
+    return 1;
+  }
+  // Say so instead of silently cutting the dictation short
+  if (!stopReason && !options.quiet && recorder.maxDuration && summary.duration >= recorder.maxDuration) {
+    console.error(`${colors.orange}${symbols.warning} Reached the ${formatTime(recorder.maxDuration)} limit - recording stopped (raise it with: vox config set recorder.maxSeconds <seconds>)${colors.reset}`);
+  }
+  if (options.verbose) {
+    console.error(`Recorded ${summary.duration.toFixed(1)}s (${summary.bytes} bytes) with ${summary.backend}, stopped by ${stopReason || 'max'}`);
+    console.error(`Peak level: ${Number.isFinite(summary.peakDb) ? `${summary.peakDb.toFixed(1)} dBFS` : 'digital silence'}`);
+    if (!summary.heardInput) {
+      console.error(`${colors.orange}${symbols.warning} Nothing above the noise floor (${NOISE_FLOOR_DB} dBFS) - check the microphone and its permissions${colors.reset}`);
+    }
+  }
+  if (interrupted) {
+    if (live) {
+      live.cancel();
+    }
+    return EXIT_INTERRUPTED;
+  }
+
+  // Only the last few seconds are left to transcribe; if live mode failed
+  // along the way, print nothing and bin/vox transcribes the whole file
+  if (live) {
+    const result = await live.finish();
+    if (result) {
+      await printTranscript(result, current);
+    }
+  }
+  return 0;
+}
+
+// List recorder backends and what they can do; --check just validates the selection
+async function backendsCommand(args) {
+  const preferred = config.loadConfig().recorder.backend;
+
+  if (args[0] === '--check') {
+    try {
+      console.log(selectBackend(preferred));
+      return 0;
+    } catch (error) {
+      printError(error);
+      return 1;
+    }
+  }
+
+  let selected = null;
+  try {
+    selected = selectBackend(preferred);
+  } catch {
+    // Shown as "none available" below
+  }
+
+  console.log(`${colors.lime}${symbols.mic} Recorder backends${colors.reset} ${colors.gray}(recorder.backend: ${preferred})${colors.reset}`);
+  console.log('');
+  for (const backend of describeBackends()) {
+    const marker = backend.name === selected ? `${colors.lime}${symbols.record}` : ' ';
+    const state = !backend.supported
+      ? `${colors.gray}not supported on ${process.platform}`
+      : backend.available
+        ? `${colors.lime}available`
+        : `${colors.orange}not installed${backend.install ? ` (${backend.install})` : ''}`;
+    const caps = Object.entries(backend.capabilities)
+      .filter(([, enabled]) => enabled)
+      .map(([name]) => name)
+      .join(', ');
+
+    console.log(`${marker} ${colors.white}${backend.name.padEnd(10)}${colors.reset} ${state}${colors.reset}`);
+    console.log(`    ${colors.gray}${backend.description} - ${caps || 'no extras'}${colors.reset}`);
+  }
+  if (!selected) {
+    console.log('');
+    console.log(`${colors.red}${symbols.cross} No usable recorder backend${colors.reset}`);
+    return 1;
+  }
+  return 0;
+}
+
+// Input devices of the selected backend (or every installed one with --all)
+async function devicesCommand(args) {
+  const current = config.loadConfig();
+  const backends = args.includes('--all')
+    ? describeBackends().filter((backend) => backend.available).map((backend) => backend.name)
+    : [args.find((arg) => !arg.startsWith('--')) || selectBackend(current.recorder.backend)];
+
+  let status = 0;
+  for (const name of backends) {
+    console.log(`${colors.lime}${symbols.mic} ${name} input devices${colors.reset}`);
+
+    let devices;
+    let configured = null;
+    let missing = false;
+    try {
+      devices = listDevices(name);
+      configured = resolveDevice(name, current.recorder.device);
+    } catch (error) {
+      if (!devices) {
+        printError(error);
+        status = 1;
+        console.log('');
+        continue;
+      }
+      // The saved device is gone; still list what is connected
+      missing = true;
+      console.log(`${colors.orange}${symbols.warning} ${error.message}${colors.reset}`);
+    }
+
+    if (devices.length === 0) {
+      console.log(`${colors.gray}  No input devices found${colors.reset}`);
+    }
+    devices.forEach((device, index) => {
+      const marker = device.id === configured ? `${colors.lime}${symbols.record}` : ' ';
+      console.log(`${marker} ${colors.white}${String(index).padStart(2)}${colors.reset}  ${device.name} ${colors.gray}(${device.id})${colors.reset}`);
+    });
+    if (!configured && !missing) {
+      console.log(`${colors.gray}  Using the system default input${colors.reset}`);
+    }
+    console.log('');
+  }
+
+  console.log(`${colors.gray}Pick one with: vox --device <index|name>, or save it: vox config set recorder.device <index|name>${colors.reset}`);
+  return status;
+}
+
+// Local "YYYY-MM-DD HH:MM"
+function formatTimestamp(timestamp) {
+  const date = new Date(timestamp);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function printHistoryLine(entry) {
+  const when = formatTimestamp(entry.timestamp);
+  const duration = entry.duration ? `${entry.duration.toFixed(1)}s` : '';
+  const width = (process.stdout.columns || 80) - 40;
+  const preview = entry.text.length > width ? `${entry.text.slice(0, width - 1)}…` : entry.text;
+  console.log(`${colors.lime}#${String(entry.id).padEnd(5)}${colors.gray}${when}  ${duration.padStart(6)}  ${(entry.language || '').padEnd(3)}${colors.reset} ${preview}`);
+}
+
+async function historyCommand(args) {
+  const [action = 'list', ...rest] = args;
+
+  switch (action) {
+    // Used by bin/vox after each dictation: transcript on stdin
+    case 'add': {
+      const current = config.currentConfig();
+      if (!current.history.enabled) {
+        return 0;
+      }
+      // --archived: the --audio file is kept for good, so remember where
+      const { options } = parseOptions(rest, ['audio', 'language', 'task']);
+      const text = fs.readFileSync(0, 'utf-8').trim();
+      if (!text) {
+        return 0;
+      }
+      const duration = options.audio && fs.existsSync(options.audio)
+        ? pcmDuration(Math.max(0, fs.statSync(options.audio).size - HEADER_SIZE))
+        : null;
+      history.addEntry({
+        text,
+        duration: duration === null ? null : Math.round(duration * 10) / 10,
+        model: current.model.size,
+        language: options.language || null,
+        task: options.task || 'transcribe',
+        audio: options.archived && options.audio ? options.audio : null
+      }, current.history);
+      return 0;
+    }
+
+    case 'list': {
+      const { options } = parseOptions(rest, ['n']);
+      const entries = history.listEntries(Number(options.n) || 20);
+      if (entries.length === 0) {
+        console.log(`${colors.gray}No transcripts yet${colors.reset}`);
+      }
+      entries.forEach(printHistoryLine);
+      return 0;
+    }
+
+    case 'search': {
+      const query = rest.join(' ');
+      if (!query) {
+        console.error(`${colors.gray}Usage: vox history search <words>${colors.reset}`);
+        return 1;
+      }
+      const entries = history.searchEntries(query);
+      if (entries.length === 0) {
+        console.log(`${colors.gray}Nothing matches "${query}"${colors.reset}`);
+        return 1;
+      }
+      entries.forEach(printHistoryLine);
+      return 0;
+    }
+
+    case 'show':
+    case 'copy': {
+      const entry = history.findEntry(rest[0]);
+      if (!entry) {
+        console.error(`${colors.red}${symbols.cross} ${rest[0] ? `No transcript #${rest[0]}` : 'No transcripts yet'}${colors.reset}`);
+        return 1;
+      }
+      if (action === 'copy') {
+        try {
+          const method = clipboard.copyToClipboard(entry.text, config.currentConfig().clipboard.order);
+          console.log(`${colors.lime}${symbols.check} Copied #${entry.id} to clipboard ${colors.gray}(${method})${colors.reset}`);
+          return 0;
+        } catch (error) {
+          printError(error);
+          return 1;
+        }
+      }
+      console.log(`${colors.lime}#${entry.id}${colors.reset} ${colors.gray}${formatTimestamp(entry.timestamp)}${colors.reset}`);
+      console.log(`${colors.gray}  Duration: ${entry.duration === null ? '-' : `${entry.duration}s`} · Model: ${entry.model || '-'} · Language: ${entry.language || '-'}${entry.task === 'translate' ? ' → en' : ''}${colors.reset}`);
+      if (entry.audio) {
+        console.log(`${colors.gray}  Audio: ${entry.audio}${fs.existsSync(entry.audio) ? '' : ' (removed)'}${colors.reset}`);
+      }
+      console.log('');
+      console.log(entry.text);
+      return 0;
+    }
+
+    case 'clear':
+      history.clearHistory();
+      console.log(`${colors.lime}${symbols.check} History cleared${colors.reset}`);
+      return 0;
+
+    case 'path':
+      console.log(history.HISTORY_FILE);
+      return 0;
+
+    default:
+      console.error(`${colors.red}${symbols.cross} Unknown history command: ${action}${colors.reset}`);
+      console.error(`${colors.gray}Usage: vox history [list [--n <count>]|search <words>|show [id]|copy [id]|clear|path]${colors.reset}`);
+      return 1;
+  }
+}
+
+async function archiveCommand(args) {
+  const [action = 'list', file] = args;
+  const current = config.currentConfig();
+
+  switch (action) {
+    // Used by bin/vox after each dictation; prints the archived path (nothing when
+    // off). --failed: the transcription failed, keep it whether the archive is on or not.
+    case 'add': {
+      const archived = archive.archiveRecording(file, current, { failed: args.includes('--failed') });
+      if (archived) {
+        console.log(archived);
+      }
+      return 0;
+    }
+
+    case 'list': {
+      const files = archive.listArchive(current);
+      console.log(`${colors.gray}# ${archive.archiveDir(current)}${current.archive.enabled ? '' : ' (archive is off)'}${colors.reset}`);
+      files.forEach((entry) => console.log(entry.path));
+      return 0;
+    }
+
+    case 'path':
+      console.log(archive.archiveDir(current));
+      return 0;
+
+    default:
+      console.error(`${colors.red}${symbols.cross} Unknown archive command: ${action}${colors.reset}`);
+      console.error(`${colors.gray}Usage: vox archive [list|path]   (cleanup: vox-cleanup)${colors.reset}`);
+      return 1;
+  }
+}
+
+// Used by bin/vox after the in-process Python: its JSON result on stdin, printed
+// like `server transcribe` does. "ERROR: ..." lines pass through unchanged.
+async function formatCommand() {
+  const input = fs.readFileSync(0, 'utf-8').trim();
+  let result;
+  try {
+    result = JSON.parse(input);
+  } catch {
+    console.log(input);
+    return 0;
+  }
+  await printTranscript(result, config.currentConfig());
+  return 0;
+}
+
+// Existing audio (meetings, voice memos): transcripts go to stdout, the
+// clipboard (--copy) and/or one file per input (--output-dir)
+async function transcribeCommand(args) {
+  const { options, positional: files } = parseOptions(args, ['lang', 'format', 'output-dir']);
+  if (files.length === 0) {
+    console.error(`${colors.gray}Usage: vox transcribe <file...> [--lang <code>] [--translate] [--format text|json|srt|vtt|tsv] [--words] [--copy] [--output-dir <dir>]${colors.reset}`);
+    return 1;
+  }
+
+  const overrides = [];
+  if (options.lang) {
+    overrides.push(`language=${options.lang}`);
+  }
+  if (options.translate) {
+    overrides.push('translate=true');
+  }
+  if (options.format) {
+    overrides.push(`output.format=${options.format}`);
+  }
+  if (options.words) {
+    overrides.push('output.wordTimestamps=true');
+  }
+  const current = vocabulary.withVocabulary(config.applyOverrides(config.currentConfig(), overrides));
+
+  // Report bad paths up front instead of after a model load
+  let failed = 0;
+  const valid = files.filter((file) => {
+    const problem = checkAudioFile(file);
+    if (problem) {
+      console.error(`${colors.red}${symbols.cross} ${problem}${colors.reset}`);
+      failed++;
+    }
+    return !problem;
+  });
+
+  // Progress goes to stderr so stdout stays just the transcripts
+  if (valid.length > 0) {
+    console.error(`${colors.cyan}${symbols.brain} Transcribing ${valid.length === 1 ? valid[0] : `${valid.length} files`}...${colors.reset}`);
+  }
+
+  const { format } = current.output;
+  const texts = [];
+  for await (const { file, result, error } of transcribeFiles(valid, current)) {
+    if (error) {
+      console.error(`${colors.red}${symbols.cross} ${file}: ${error}${colors.reset}`);
+      failed++;
+      continue;
+    }
+    const details = `${formatTime(result.duration)} · ${result.language}${result.task === 'translate' ? ' → en' : ''}`;
+    const output = formatTranscript(await processTranscript(result, current), format);
+    if (options['output-dir']) {
+      fs.mkdirSync(options['output-dir'], { recursive: true });
+      const target = path.join(options['output-dir'], `${path.parse(file).name}.${EXTENSIONS[format]}`);
+      fs.writeFileSync(target, `${output}\n`);
+      console.error(`${colors.lime}${symbols.check} ${file} ${colors.gray}(${details})${colors.reset} → ${target}`);
+    } else {
+      console.error(`${colors.lime}${symbols.check} ${file} ${colors.gray}(${details})${colors.reset}`);
+      console.log(output);
+    }
+    texts.push(output);
+  }
+
+  if (options.copy && texts.length > 0) {
+    const method = clipboard.copyToClipboard(texts.join('\n\n'), current.clipboard.order);
+    console.error(`${colors.lime}${symbols.check} Copied to clipboard ${colors.gray}(${method})${colors.reset}`);
+  }
+  return failed > 0 ? 1 : 0;
+}
+
+// Clipboard methods in clipboard.order and which of them work here;
+// `copy` (used by bin/vox) copies stdin and prints the method that took it
+async function clipboardCommand(args) {
+  const [action = 'status'] = args;
+  const { order } = config.currentConfig().clipboard;
+
+  switch (action) {
+    case 'copy': {
+      const text = fs.readFileSync(0, 'utf-8');
+      try {
+        console.log(clipboard.copyToClipboard(text, order));
+        return 0;
+      } catch (error) {
+        console.error(`${colors.red}${symbols.cross} ${error.message}${colors.reset}`);
+        console.error(`${colors.orange}${symbols.gear} ${error.hint}${colors.reset}`);
+        return 1;
+      }
+    }
+
+    case 'status': {
+      const available = clipboard.availableMethods(order);
+      console.log(`${colors.cyan}Clipboard methods${colors.reset} ${colors.gray}(clipboard.order, first working one is used)${colors.reset}`);
+      for (const name of order) {
+        const usable = available.includes(name);
+        const marker = name === available[0] ? `${colors.lime}${symbols.check}` : (usable ? `${colors.white} ` : `${colors.gray} `);
+        console.log(`  ${marker} ${name.padEnd(8)}${colors.gray} ${clipboard.METHODS[name].description}${usable ? '' : ' - not available here'}${colors.reset}`);
+      }
+      if (available.length === 0) {
+        console.log(`${colors.orange}${symbols.warning} No clipboard available - transcripts are still printed and kept in vox history${colors.reset}`);
+      }
+      return 0;
+    }
+
+    default:
+      console.error(`${colors.red}${symbols.cross} Unknown clipboard command: ${action}${colors.reset}`);
+      console.error(`${colors.gray}Usage: vox clipboard [status|copy]${colors.reset}`);
+      return 1;
+  }
+}
+
+// Used by bin/vox with --paste: copy stdin and paste it into the focused window
+async function pasteCommand() {
+  const text = fs.readFileSync(0, 'utf-8');
+  const current = config.currentConfig();
+  try {
+    const { copiedWith, pastedWith, restored } = await pasteText(text, current);
+    console.log(`${colors.lime}${symbols.check} Copied to clipboard ${colors.gray}(${copiedWith})${colors.reset}`);
+    console.log(`${colors.lime}${symbols.check} ${current.paste.mode === 'type' ? 'Typed' : 'Pasted'} into the focused window ${colors.gray}(${pastedWith})${colors.reset}`);
+    if (restored) {
+      console.log(`${colors.gray}Previous clipboard restored${colors.reset}`);
+    }
+    return 0;
+  } catch (error) {
+    printError(error);
+    return 1;
+  }
+}
+
+// Terms Whisper should know: the user's list and the project's (.vox-vocabulary
+// in this directory or above); --project edits the latter
+async function vocabCommand(args) {
+  const [action = 'list', ...rest] = args;
+  const { options, positional: terms } = parseOptions(rest, []);
+  const file = options.project ? vocabulary.projectFile() : vocabulary.USER_VOCABULARY_FILE;
+
+  switch (action) {
+    case 'add': {
+      if (terms.length === 0) {
+        console.error(`${colors.gray}Usage: vox vocab add <term...> [--project]${colors.reset}`);
+        return 1;
+      }
+      const added = vocabulary.addTerms(file, terms);
+      console.log(added.length > 0
+        ? `${colors.lime}${symbols.check} Added ${added.join(', ')} ${colors.gray}(${file})${colors.reset}`
+        : `${colors.gray}Already there: ${terms.join(', ')}${colors.reset}`);
+      return 0;
+    }
+
+    case 'remove': {
+      if (terms.length === 0) {
+        console.error(`${colors.gray}Usage: vox vocab remove <term...> [--project]${colors.reset}`);
+        return 1;
+      }
+      const removed = vocabulary.removeTerms(file, terms);
+      if (removed.length === 0) {
+        console.error(`${colors.red}${symbols.cross} Not in ${file}: ${terms.join(', ')}${colors.reset}`);
+        return 1;
+      }
+      console.log(`${colors.lime}${symbols.check} Removed ${removed.join(', ')} ${colors.gray}(${file})${colors.reset}`);
+      return 0;
+    }
+
+    case 'list': {
+      const { sources } = vocabulary.loadVocabulary();
+      for (const source of sources) {
+        const label = source.scope === 'project' ? 'Project' : 'User';
+        console.log(`${colors.cyan}${label}${colors.reset} ${colors.gray}${source.file || `no ${vocabulary.PROJECT_VOCABULARY_NAME} here or above`}${colors.reset}`);
+        if (source.terms.length === 0) {
+          console.log(`  ${colors.gray}(none)${colors.reset}`);
+        }
+        source.terms.forEach((term) => console.log(`  ${term}`));
+      }
+      if (!config.loadConfig().vocabulary.enabled) {
+        console.log(`${colors.orange}${symbols.warning} vocabulary.enabled is off - these terms are not used${colors.reset}`);
+      }
+      return 0;
+    }
+
+    case 'path':
+      console.log(file);
+      return 0;
+
+    default:
+      console.error(`${colors.red}${symbols.cross} Unknown vocab command: ${action}${colors.reset}`);
+      console.error(`${colors.gray}Usage: vox vocab [list|add <term...>|remove <term...>|path] [--project]${colors.reset}`);
+      return 1;
+  }
+}
+
+// Try the text rules on a sentence without recording: every stage's output
+async function rulesCommand(args) {
+  const [action = 'list', ...rest] = args;
+  const current = config.loadConfig().rules;
+
+  switch (action) {
+    case 'test': {
+      const text = rest.join(' ');
+      if (!text) {
+        console.error(`${colors.gray}Usage: vox rules test "<text>"${colors.reset}`);
+        return 1;
+      }
+      const { text: output, steps } = rules.applyRulesVerbose(text, current);
+      console.log(`${colors.gray}Input:${colors.reset}              ${text}`);
+      for (const step of steps) {
+        console.log(`${colors.gray}${`${step.stage}:`.padEnd(20)}${colors.reset}${step.text}`);
+      }
+      console.log(`${colors.lime}${'Output:'.padEnd(20)}${colors.reset}${output}`);
+      if (!current.enabled) {
+        console.log(`${colors.orange}${symbols.warning} rules.enabled is off - transcripts are left as they are${colors.reset}`);
+      }
+      return 0;
+    }
+
+    case 'list': {
+      const commands = rules.describeCommands();
+      console.log(`${colors.cyan}Replacements${colors.reset} ${colors.gray}(rules.replacements)${colors.reset}`);
+      if (current.replacements.length === 0) {
+        console.log(`  ${colors.gray}(none)${colors.reset}`);
+      }
+      for (const rule of current.replacements) {
+        const from = typeof rule.pattern === 'string' ? `/${rule.pattern}/${rule.flags === undefined ? 'g' : rule.flags}` : `"${rule.from}"`;
+        console.log(`  ${from} ${colors.gray}→${colors.reset} "${rule.to}"`);
+      }
+      console.log(`${colors.cyan}Spoken punctuation${colors.reset} ${colors.gray}(rules.spokenPunctuation: ${current.spokenPunctuation})${colors.reset}`);
+      for (const { phrases, symbol } of commands.punctuation) {
+        console.log(`  ${phrases.join(' / ').padEnd(42)}${colors.gray}→${colors.reset} ${JSON.stringify(symbol)}`);
+      }
+      console.log(`${colors.cyan}Casing${colors.reset} ${colors.gray}(rules.casing: ${current.casing}; up to punctuation or "end case")${colors.reset}`);
+      console.log(`  ${commands.casing.join(', ')}`);
+      return 0;
+    }
+
+    default:
+      console.error(`${colors.red}${symbols.cross} Unknown rules command: ${action}${colors.reset}`);
+      console.error(`${colors.gray}Usage: vox rules [list|test "<text>"]${colors.reset}`);
+      return 1;
+  }
+}
+
+// Prompt templates in ~/.config/koshi-vox/templates; `apply` (used by bin/vox
+// with -t) wraps the transcript on stdin, with an optional context file
+async function templatesCommand(args) {
+  const [action = 'list', name, file] = args;
+
+  switch (action) {
+    case 'list': {
+      console.log(`${colors.gray}# ${templates.ensureTemplatesDir()}${colors.reset}`);
+      const names = templates.listTemplates();
+      if (names.length === 0) {
+        console.log(`${colors.gray}No templates - add a <name>.md file to the directory above${colors.reset}`);
+      }
+      for (const template of names) {
+        console.log(`  ${colors.white}${template.padEnd(12)}${colors.gray}${templates.describeTemplate(template)}${colors.reset}`);
+      }
+      return 0;
+    }
+
+    case 'show':
+    case 'path':
+    case 'edit': {
+      if (!name) {
+        console.error(`${colors.gray}Usage: vox templates ${action} <name>${colors.reset}`);
+        return 1;
+      }
+      if (action === 'show') {
+        process.stdout.write(templates.loadTemplate(name));
+        return 0;
+      }
+      templates.ensureTemplatesDir();
+      const templateFile = templates.templateFile(name);
+      if (action === 'path') {
+        console.log(templateFile);
+        return 0;
+      }
+      // A new name starts out empty; the editor creates the file. Through the
+      // shell, as EDITOR may carry arguments ("code --wait")
+      const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+      const result = spawnSync(`${editor} "${templateFile}"`, { stdio: 'inherit', shell: true });
+      return result.status === null ? 1 : result.status;
+    }
+
+    case 'apply': {
+      if (!name) {
+        console.error(`${colors.gray}Usage: vox templates apply <name> [file] < transcript${colors.reset}`);
+        return 1;
+      }
+      const transcript = fs.readFileSync(0, 'utf-8').trim();
+      try {
+        console.log(templates.applyTemplate(name, transcript, { file }));
+        return 0;
+      } catch (error) {
+        printError(error);
+        return 1;
+      }
+    }
+
+    default:
+      console.error(`${colors.red}${symbols.cross} Unknown templates command: ${action}${colors.reset}`);
+      console.error(`${colors.gray}Usage: vox templates [list|show <name>|edit <name>|path <name>|apply <name> [file]]${colors.reset}`);
+      return 1;
+  }
+}
+
+// The cleanup settings, and `test` to try an engine on a sentence without recording
+async function cleanupCommand(args) {
+  const [action = 'status', ...rest] = args;
+  const { options, positional } = parseOptions(rest, ['engine']);
+  const current = config.loadConfig().cleanup;
+
+  switch (action) {
+    case 'status': {
+      const state = current.enabled ? `${colors.lime}on` : `${colors.gray}off`;
+      console.log(`${colors.cyan}Cleanup${colors.reset} ${state}${colors.reset} ${colors.gray}(cleanup.enabled, --clean / --no-clean per run)${colors.reset}`);
+      console.log(`  ${colors.gray}Engine:${colors.reset}   ${current.engine}`);
+      console.log(`  ${colors.gray}Rephrase:${colors.reset} ${current.rephrase}`);
+      if (current.engine === 'llm') {
+        console.log(`  ${colors.gray}Endpoint:${colors.reset} ${current.llm.url} ${colors.gray}(model ${current.llm.model})${colors.reset}`);
+      }
+      return 0;
+    }
+
+    case 'test': {
+      const text = positional.join(' ');
+      if (!text) {
+        console.error(`${colors.gray}Usage: vox cleanup test "<text>" [--engine builtin|llm] [--rephrase]${colors.reset}`);
+        return 1;
+      }
+      const settings = {
+        ...current,
+        engine: options.engine || current.engine,
+        rephrase: Boolean(options.rephrase) || current.rephrase
+      };
+      const cleaned = await cleanTranscriptText(text, settings, config.loadConfig().language);
+      if (cleaned.error) {
+        console.log(`${colors.orange}${symbols.warning} ${cleaned.error.message} - showing the builtin result${colors.reset}`);
+      }
+      console.log(`${colors.gray}Input:${colors.reset}  ${text}`);
+      console.log(`${colors.lime}Output:${colors.reset} ${cleaned.text} ${colors.gray}(${cleaned.engine})${colors.reset}`);
+      return cleaned.error ? 1 : 0;
+    }
+
+    default:
+      console.error(`${colors.red}${symbols.cross} Unknown cleanup command: ${action}${colors.reset}`);
+      console.error(`${colors.gray}Usage: vox cleanup [status|test "<text>" [--engine builtin|llm] [--rephrase]]${colors.reset}`);
+      return 1;
+  }
+}
+
+// Desktop notifications: the settings, `test`, and `<event> [message]` (used by bin/vox)
+async function notifyCommand(args) {
+  const [action = 'status', ...rest] = args;
+  const settings = config.currentConfig().notifications;
+
+  if (notifier.EVENTS.includes(action)) {
+    try {
+      notifier.notify(action, rest.join(' '), settings);
+      return 0;
+    } catch (error) {
+      printError(error);
+      return 1;
+    }
+  }
+
+  switch (action) {
+    case 'status': {
+      const state = settings.enabled ? `${colors.lime}on` : `${colors.gray}off`;
+      console.log(`${colors.cyan}Notifications${colors.reset} ${state}${colors.reset} ${colors.gray}(notifications.enabled)${colors.reset}`);
+      let tool;
+      try {
+        tool = `${notifier.selectNotifier(settings.tool)}${settings.tool === 'auto' ? ` ${colors.gray}(auto)` : ''}`;
+      } catch (error) {
+        tool = `${colors.orange}${error.message}`;
+      }
+      console.log(`  ${colors.gray}Tool:${colors.reset}   ${tool}${colors.reset}`);
+      const events = notifier.EVENTS.filter((event) => settings.events[event]);
+      console.log(`  ${colors.gray}Events:${colors.reset} ${events.join(', ') || 'none'} ${colors.gray}(of ${notifier.EVENTS.join(', ')})${colors.reset}`);
+      return 0;
+    }
+
+    // Regardless of the settings, to see whether notifications get through at all
+    case 'test': {
+      const events = Object.fromEntries(notifier.EVENTS.map((event) => [event, true]));
+      try {
+        const tool = notifier.notify('success', rest.join(' ') || 'Notifications work', { ...settings, enabled: true, events });
+        console.log(`${colors.lime}${symbols.check} Notification sent ${colors.gray}(${tool})${colors.reset}`);
+        return 0;
+      } catch (error) {
+        printError(error);
+        return 1;
+      }
+    }
+
+    default:
+      console.error(`${colors.red}${symbols.cross} Unknown notify command: ${action}${colors.reset}`);
+      console.error(`${colors.gray}Usage: vox notify [status|test [message]|${notifier.EVENTS.join('|')} [message]]${colors.reset}`);
+      return 1;
+  }
+}
+
+// Event sounds: what each event plays, the themes, mute/unmute, `test [event]`
+// and `play <event>` (used by bin/vox, quiet when muted or the event is off)
+async function soundsCommand(args) {
+  const [action = 'status', event] = args;
+  const settings = config.currentConfig().sounds;
+
+  switch (action) {
+    case 'play':
+    case 'test': {
+      const name = event || 'success';
+      if (!sounds.EVENTS.includes(name)) {
+        console.error(`${colors.red}${symbols.cross} Unknown sound event: ${name} (one of: ${sounds.EVENTS.join(', ')})${colors.reset}`);
+        return 1;
+      }
+      if (action === 'play') {
+        sounds.playSound(name, settings);
+        return 0;
+      }
+      const events = Object.fromEntries(sounds.EVENTS.map((each) => [each, true]));
+      const played = sounds.playSound(name, { ...settings, muted: false, events });
+      if (!played) {
+        console.error(`${colors.orange}${symbols.warning} Nothing to play for ${name} (theme ${settings.theme})${colors.reset}`);
+        return 1;
+      }
+      console.log(`${colors.lime}${symbols.check} ${played.file === sounds.BELL ? 'Terminal bell' : played.file} ${colors.gray}(${played.player})${colors.reset}`);
+      return 0;
+    }
+
+    case 'status': {
+      const state = settings.muted ? `${colors.orange}muted` : `${colors.lime}on`;
+      console.log(`${colors.cyan}Sounds${colors.reset} ${state}${colors.reset} ${colors.gray}(theme ${settings.theme}, volume ${settings.volume})${colors.reset}`);
+      for (const name of sounds.EVENTS) {
+        let sound;
+        try {
+          sound = sounds.resolveSound(name, settings);
+        } catch (error) {
+          printError(error);
+          return 1;
+        }
+        let detail;
+        if (!sound.file) {
+          detail = `${colors.gray}nothing to play`;
+        } else if (sound.file === sounds.BELL) {
+          detail = 'terminal bell';
+        } else {
+          const player = sounds.selectPlayer(sound.file);
+          detail = `${sound.file} ${colors.gray}(${player || 'no player installed - terminal bell'})`;
+        }
+        const marker = settings.events[name] ? `${colors.lime}${symbols.check}` : `${colors.gray}-`;
+        console.log(`  ${marker} ${colors.white}${name.padEnd(8)}${colors.reset}${detail}${colors.reset}`);
+        if (sound.missing) {
+          console.log(`    ${colors.orange}${symbols.warning} sounds.files.${name} not found: ${sound.missing}${colors.reset}`);
+        }
+      }
+      return 0;
+    }
+
+    case 'themes': {
+      console.log(`${colors.gray}# ${sounds.USER_THEMES_DIR}${colors.reset}`);
+      for (const name of [...new Set([...sounds.THEME_NAMES, ...sounds.listUserThemes()])]) {
+        const marker = name === settings.theme ? `${colors.lime}${symbols.record}` : ' ';
+        const kind = sounds.listUserThemes().includes(name) ? 'your theme' : 'builtin';
+        console.log(`${marker} ${colors.white}${name.padEnd(10)}${colors.gray}${kind}${colors.reset}`);
+      }
+      return 0;
+    }
+
+    case 'mute':
+    case 'unmute':
+      config.setValue('sounds.muted', String(action === 'mute'));
+      console.log(`${colors.lime}${symbols.check} Sounds ${action === 'mute' ? 'muted' : 'on'}${colors.reset}`);
+      return 0;
+
+    default:
+      console.error(`${colors.red}${symbols.cross} Unknown sounds command: ${action}${colors.reset}`);
+      console.error(`${colors.gray}Usage: vox sounds [status|themes|test [event]|mute|unmute]${colors.reset}`);
+      return 1;
+  }
+}
+
+// Hotkey providers and keys for `vox listen`, like `vox backends`
+function listenKeys(settings) {
+  let selected = null;
+  try {
+    selected = hotkeys.selectHotkeyProvider(settings.provider, settings.key);
+  } catch {
+    // Shown as "none available" below
+  }
+
+  console.log(`${colors.lime}${symbols.mic} Hotkey providers${colors.reset} ${colors.gray}(listen.provider: ${settings.provider}, listen.key: ${settings.key})${colors.reset}`);
+  console.log('');
+  for (const name of hotkeys.PROVIDER_NAMES) {
+    const provider = hotkeys.PROVIDERS[name];
+    const usable = provider.usable(settings.key);
+    const marker = name === selected ? `${colors.lime}${symbols.record}` : ' ';
+    const state = usable ? `${colors.lime}available` : `${colors.gray}not available (${provider.unusableHint})`;
+    console.log(`${marker} ${colors.white}${name.padEnd(10)}${colors.reset} ${state}${colors.reset}`);
+    console.log(`    ${colors.gray}${provider.description}${provider.hold ? '' : ' - toggle mode only'}${colors.reset}`);
+  }
+  console.log('');
+  console.log(`${colors.cyan}Keys${colors.reset} ${colors.gray}(vox config set listen.key <key>)${colors.reset}`);
+  console.log(`  ${hotkeys.KEY_NAMES.join(', ')}`);
+  if (!selected) {
+    console.log('');
+    console.log(`${colors.red}${symbols.cross} No usable hotkey provider for ${settings.key}${colors.reset}`);
+    return 1;
+  }
+  return 0;
+}
+
+// Push-to-talk: keeps the model loaded and records while listen.key is held
+// (or from one press to the next in toggle mode), then copies or pastes the
+// transcript like bin/vox does. Status lines go to stderr, transcripts to stdout.
+async function listenCommand(args) {
+  const { options, positional } = parseOptions(args, ['mode', 'key', 'provider']);
+  const overrides = ['mode', 'key', 'provider']
+    .filter((name) => typeof options[name] === 'string')
+    .map((name) => `listen.${name}=${options[name]}`);
+  if (options.paste) {
+    overrides.push('paste.enabled=true');
+  }
+  const current = vocabulary.withVocabulary(config.applyOverrides(config.currentConfig(), overrides));
+  const settings = current.listen;
+
+  if (positional[0] === 'keys') {
+    return listenKeys(settings);
+  }
+  if (positional.length > 0) {
+    console.error(`${colors.gray}Usage: vox listen [keys] [--mode hold|toggle] [--key <key>] [--provider <name>] [--paste]${colors.reset}`);
+    return 1;
+  }
+
+  let hotkey;
+  try {
+    hotkey = new hotkeys.Hotkey({ key: settings.key, provider: settings.provider });
+  } catch (error) {
+    printError(error);
+    return 1;
+  }
+  // Terminals only report presses
+  const mode = hotkey.provider.hold ? settings.mode : 'toggle';
+  const keyLabel = hotkey.providerName === 'terminal' ? 'SPACE or ENTER' : hotkeys.KEYS[settings.key].label;
+  if (mode !== settings.mode) {
+    console.error(`${colors.orange}${symbols.warning} The ${hotkey.providerName} provider can't tell when a key is released - using toggle mode${colors.reset}`);
+  }
+
+  // Loaded once here rather than per recording; stopped again on exit if we started it
+  let startedServer = false;
+  if (!(await server.serverStatus()).running) {
+    console.error(`${colors.cyan}${symbols.brain} Starting transcription server (loading model)...${colors.reset}`);
+    await server.startServer();
+    startedServer = true;
+  }
+
+  // Recordings go in a private directory (0700), removed again on exit.
+  // The pid tells vox-cleanup whether it's still in use.
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), `vox_listen_${process.pid}_`));
+
+  // idle -> recording -> transcribing -> idle
+  let state = 'idle';
+  let recorder = null;
+  let meter = null;
+  let count = 0;
+  let finish;
+  const done = new Promise((resolve) => {
+    finish = resolve;
+  });
+
+  const showReady = () => {
+    const action = mode === 'hold' ? `Hold ${keyLabel} to record` : `Press ${keyLabel} to start and stop recording`;
+    const quit = process.stdin.isTTY ? ' · q to quit' : '';
+    console.error(`${colors.lime}${symbols.mic} Listening: ${colors.white}${action}${colors.gray} (${hotkey.providerName}${quit})${colors.reset}`);
+  };
+
+  // Sounds (sounds.*) and desktop notifications (notifications.*) for when the
+  // terminal is out of sight. Cosmetic, so each failure is reported once and then left alone.
+  const failed = new Set();
+  const cosmetic = (what, action) => {
+    try {
+      action();
+    } catch (error) {
+      if (!failed.has(what)) {
+        failed.add(what);
+        console.error(`${colors.orange}${symbols.warning} ${what} failed: ${error.message}${colors.reset}`);
+      }
+    }
+  };
+  const notify = (event, message) => {
+    cosmetic('Sound', () => sounds.playSound(event, current.sounds));
+    cosmetic('Notification', () => notifier.notify(event, message, current.notifications));
+  };
+
+  const transcribe = async (file) => {
+    try {
+      return await server.transcribeFile(file, current);
+    } catch (error) {
+      if (error.code !== 'ENOSERVER') {
+        throw error;
+      }
+      console.error(`${colors.orange}${symbols.gear} Transcription server stopped - starting it again...${colors.reset}`);
+      await server.startServer();
+      startedServer = true;
+      return server.transcribeFile(file, current);
+    }
+  };
+
+  // Copy (or paste) the output, then archive and history as bin/vox does after a
+  // dictation; the history and notification get the plain transcript
+  const deliver = async (output, processed, summary) => {
+    console.log(output);
+    try {
+      if (current.paste.enabled) {
+        const { pastedWith } = await pasteText(output, current);
+        console.error(`${colors.lime}${symbols.check} ${current.paste.mode === 'type' ? 'Typed' : 'Pasted'} into the focused window ${colors.gray}(${pastedWith})${colors.reset}`);
+      } else {
+        const method = clipboard.copyToClipboard(output, current.clipboard.order);
+        console.error(`${colors.lime}${symbols.check} Copied to clipboard ${colors.gray}(${method})${colors.reset}`);
+      }
+      notify('success', processed.text);
+    } catch (error) {
+      printError(error);
+      notify('error', error.message);
+    }
+
+    const archived = archive.archiveRecording(summary.file, current);
+    if (current.history.enabled) {
+      history.addEntry({
+        text: processed.text,
+        duration: Math.round(summary.duration * 10) / 10,
+        model: current.model.size,
+        language: processed.language,
+        task: processed.task,
+        audio: archived
+      }, current.history);
+    }
+  };
+
+  const onRecordingEnd = async (summary, failure) => {
+    if (meter) {
+      meter.stop();
+      meter = null;
+    }
+    recorder = null;
+    state = 'transcribing';
+
+    try {
+      if (failure) {
+        printError(failure);
+        notify('error', failure.message);
+      } else if (summary.duration < settings.minSeconds) {
+        console.error(`${colors.gray}Too short - ignored (listen.minSeconds: ${settings.minSeconds})${colors.reset}`);
+      } else {
+        if (summary.duration >= current.recorder.maxSeconds) {
+          console.error(`${colors.orange}${symbols.warning} Reached the ${formatTime(current.recorder.maxSeconds)} limit - recording stopped (recorder.maxSeconds)${colors.reset}`);
+        }
+        console.error(`${colors.cyan}${symbols.brain} Transcribing ${formatTime(summary.duration)}...${colors.reset}`);
+        notify('stop');
+        const result = await transcribe(summary.file);
+        const processed = await processTranscript(result, current);
+        if (processed.text) {
+          await deliver(formatTranscript(processed, current.output.format), processed, summary);
+        } else {
+          console.error(`${colors.orange}${symbols.warning} No speech detected${colors.reset}`);
+          notify('error', 'No speech detected');
+        }
+      }
+    } catch (error) {
+      console.error(`${colors.red}${symbols.cross} ${error.message}${colors.reset}`);
+      notify('error', error.message);
+      // Keep the recording for a retry; tempDir goes when vox listen exits
+      try {
+        const kept = archive.archiveRecording(summary.file, current, { failed: true });
+        console.error(`${colors.gray}   Recording kept: ${kept} (retry with: vox transcribe ${kept})${colors.reset}`);
+      } catch (archiveError) {
+        console.error(`${colors.orange}${symbols.warning} Could not keep the recording: ${archiveError.message}${colors.reset}`);
+      }
+    }
+
+    // Already moved if it was archived
+    fs.rmSync(summary.file, { force: true });
+    if (state === 'transcribing') {
+      state = 'idle';
+      showReady();
+    }
+  };
+
+  const startRecording = async () => {
+    state = 'recording';
+    const file = path.join(tempDir, `rec_${++count}.wav`);
+    let failure = null;
+    try {
+      recorder = new Recorder({
+        backend: current.recorder.backend,
+        device: current.recorder.device,
+        file,
+        maxDuration: current.recorder.maxSeconds
+      });
+      recorder.on('error', (error) => {
+        failure = error;
+      });
+      recorder.once('end', (summary) => onRecordingEnd(summary, failure));
+      await recorder.start();
+    } catch (error) {
+      if (recorder) {
+        recorder.removeAllListeners('end');
+      }
+      recorder = null;
+      fs.rmSync(file, { force: true });
+      printError(error);
+      notify('error', error.message);
+      state = 'idle';
+      return;
+    }
+    notify('start');
+    // The key may already be up again
+    if (state === 'recording' && recorder && !recorder.stopping && process.stderr.isTTY) {
+      const hint = mode === 'hold' ? `Release ${keyLabel} to stop` : `Press ${keyLabel} again to stop`;
+      meter = new LevelMeter(recorder, { hint }).start();
+    }
+  };
+
+  const stopRecording = () => {
+    if (recorder) {
+      recorder.stop();
+    }
+  };
+
+  hotkey.on('down', () => {
+    if (state === 'idle') {
+      startRecording();
+    } else if (state === 'recording' && mode === 'toggle') {
+      stopRecording();
+    }
+  });
+  hotkey.on('up', () => {
+    if (state === 'recording' && mode === 'hold') {
+      stopRecording();
+    }
+  });
+
+  const quit = (code) => {
+    state = 'quitting';
+    if (recorder) {
+      // Discard the recording in progress
+      recorder.removeAllListeners('end');
+      if (meter) {
+        meter.stop();
+      }
+      const file = recorder.file;
+      recorder.stop().then(() => fs.rmSync(file, { force: true }));
+    }
+    finish(code);
+  };
+  hotkey.on('quit', () => quit(0));
+  hotkey.on('error', (error) => {
+    printError(error);
+    quit(1);
+  });
+
+  try {
+    hotkey.start();
+  } catch (error) {
+    printError(error);
+    quit(1);
+  }
+  // The terminal provider reads the keyboard itself (and reports q as 'quit')
+  const restoreTerminal = hotkey.providerName !== 'terminal' && process.stdin.isTTY
+    ? onKeypress((key) => {
+      if (key === CTRL_C || key === 'q') {
+        quit(0);
+      }
+    })
+    : () => {};
+  const onSignal = () => quit(EXIT_INTERRUPTED);
+  process.once('SIGINT', onSignal);
+  process.once('SIGTERM', onSignal);
+
+  if (state === 'idle') {
+    showReady();
+  }
+  const code = await done;
+
+  hotkey.stop();
+  restoreTerminal();
+  process.removeListener('SIGINT', onSignal);
+  process.removeListener('SIGTERM', onSignal);
+  fs.rmSync(tempDir, { recursive: true, force: true });
+  if (startedServer) {
+    await server.stopServer();
+    console.error(`${colors.gray}Transcription server stopped${colors.reset}`);
+  }
+  return code;
+}
+
+const commands = {
+  server: serverCommand,
+  config: configCommand,
+  record: recordCommand,
+  backends: backendsCommand,
+  devices: devicesCommand,
+  history: historyCommand,
+  archive: archiveCommand,
+  clipboard: clipboardCommand,
+  paste: pasteCommand,
+  vocab: vocabCommand,
+  rules: rulesCommand,
+  templates: templatesCommand,
+  cleanup: cleanupCommand,
+  notify: notifyCommand,
+  sounds: soundsCommand,
+  listen: listenCommand,
+  format: formatCommand,
+  transcribe: transcribeCommand
+};
+
+async function main(argv) {
+  const [command, ...args] = argv;
+  const handler = commands[command];
+
+  if (!handler) {
+    console.error(`${colors.red}${symbols.cross} Unknown command: ${command}${colors.reset}`);
+    return 1;
+  }
+
+  try {
+    return await handler(args);
+  } catch (error) {
+    console.error(`${colors.red}${symbols.cross} ${error.message}${colors.reset}`);
+    return 1;
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => process.exit(code));
+}
+
+module.exports = { main, commands, EXIT_SERVER_DOWN };
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const { spawnSync } = require('child_process');
+const { commandExists } = require('./recorder');
+
+// Ways to reach a clipboard, tried in clipboard.order. `usable` is a cheap
+// check so missing tools and absent displays are skipped without an attempt.
+// `read` (optional) returns the current text, for restoring it after a paste.
+const METHODS = {
+  pbcopy: {
+    description: 'macOS pasteboard',
+    usable: () => process.platform === 'darwin' && commandExists('pbcopy'),
+    copy: (text) => runCopy('pbcopy', [], text),
+    read: () => runRead('pbpaste', [])
+  },
+  'wl-copy': {
+    description: 'Wayland clipboard',
+    usable: () => Boolean(process.env.WAYLAND_DISPLAY) && commandExists('wl-copy'),
+    copy: (text) => runCopy('wl-copy', [], text),
+    read: () => runRead('wl-paste', ['--no-newline'])
+  },
+  xclip: {
+    description: 'X11 clipboard',
+    usable: () => Boolean(process.env.DISPLAY) && commandExists('xclip'),
+    copy: (text) => runCopy('xclip', ['-selection', 'clipboard'], text),
+    read: () => runRead('xclip', ['-selection', 'clipboard', '-o'])
+  },
+  xsel: {
+    description: 'X11 clipboard',
+    usable: () => Boolean(process.env.DISPLAY) && commandExists('xsel'),
+    copy: (text) => runCopy('xsel', ['--clipboard', '--input'], text),
+    read: () => runRead('xsel', ['--clipboard', '--output'])
+  },
+  tmux: {
+    description: 'tmux paste buffer',
+    usable: () => Boolean(process.env.TMUX) && commandExists('tmux'),
+    copy: (text) => runCopy('tmux', ['load-buffer', '-'], text),
+    read: () => runRead('tmux', ['save-buffer', '-'])
+  },
+  osc52: {
+    description: 'terminal escape sequence (works over SSH)',
+    usable: () => canOpenTty(),
+    copy: (text) => writeOsc52(text)
+  }
+};
+
+const METHOD_NAMES = Object.keys(METHODS);
+
+// Terminals cap OSC 52 payloads (hterm at this many base64 bytes, others higher)
+const OSC52_MAX_BYTES = 74994;
+
+function runCopy(command, args, text) {
+  // No output pipes: xclip, xsel and wl-copy fork to keep serving the selection
+  // and would hold them open, blocking us until something else is copied
+  const result = spawnSync(command, args, { input: text, stdio: ['pipe', 'ignore', 'ignore'], timeout: 5000 });
+  if (result.error) {
+    throw new Error(`${command} ${result.error.code === 'ENOENT' ? 'not found' : result.error.message}`);
+  }
+  if (result.status !== 0) {
+    throw new Error(`${command} exited with ${result.status}`);
+  }
+}
+
+// null when the clipboard is empty or holds something that isn't text
+function runRead(command, args) {
+  const result = spawnSync(command, args, { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'], timeout: 5000 });
+  return result.error || result.status !== 0 ? null : result.stdout;
+}
+
+function canOpenTty() {
+  try {
+    fs.closeSync(fs.openSync('/dev/tty', 'w'));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Written to the controlling terminal, which sets its own clipboard; tmux only
+// passes it on when wrapped in a DCS passthrough
+function writeOsc52(text) {
+  const payload = Buffer.from(text).toString('base64');
+  if (payload.length > OSC52_MAX_BYTES) {
+    throw new Error('text too long for OSC 52');
+  }
+  const sequence = `\x1b]52;c;${payload}\x07`;
+  const wrapped = process.env.TMUX
+    ? `\x1bPtmux;${sequence.replace(/\x1b/g, '\x1b\x1b')}\x1b\\`
+    : sequence;
+  const fd = fs.openSync('/dev/tty', 'w');
+  try {
+    fs.writeSync(fd, wrapped);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Methods from `order` that could work here, in order
+function availableMethods(order = METHOD_NAMES) {
+  return order.filter((name) => METHODS[name] && METHODS[name].usable());
+}
+
+// Copy with the first method that works; returns its name. Throws when none does.
+function copyToClipboard(text, order = METHOD_NAMES) {
+  const failures = [];
+  for (const name of availableMethods(order)) {
+    try {
+      METHODS[name].copy(text);
+      return name;
+    } catch (error) {
+      failures.push(`${name}: ${error.message}`);
+    }
+  }
+  const error = new Error(failures.length > 0
+    ? `Could not copy to the clipboard (${failures.join('; ')})`
+    : `No clipboard available (tried: ${order.join(', ')})`);
+  error.hint = 'Install wl-clipboard (Wayland), xclip or xsel (X11), or use a terminal that supports OSC 52';
+  throw error;
+}
+
+// Current clipboard text from the first method that can read it back (OSC 52
+// can't), or null
+function readClipboard(order = METHOD_NAMES) {
+  const name = availableMethods(order).find((method) => METHODS[method].read);
+  return name ? METHODS[name].read() : null;
+}
+
+module.exports = { METHODS, METHOD_NAMES, availableMethods, copyToClipboard, readClipboard };
@@ -0,0 +1,568 @@
+const fs = require('fs');
+const path = require('path');
+const { CONFIG_DIR, ensureConfigDir } = require('./paths');
+const { BACKEND_NAMES } = require('./recorder');
+const { OUTPUT_FORMATS } = require('./formats');
+const { METHOD_NAMES: CLIPBOARD_METHODS } = require('./clipboard');
+const { TYPER_NAMES } = require('./paste');
+const { validateReplacements } = require('./rules');
+const { ENGINES: CLEANUP_ENGINES } = require('./cleanup');
+const { EVENTS: NOTIFY_EVENTS, NOTIFIER_NAMES } = require('./notify');
+const { EVENTS: SOUND_EVENTS } = require('./sounds');
+const { KEY_NAMES: HOTKEY_NAMES, PROVIDER_NAMES: HOTKEY_PROVIDERS } = require('./hotkeys');
+
+const CONFIG_PATH = path.join(CONFIG_DIR, 'config.json');
+
+// Defaults match what vox shipped with before the config file existed
+const DEFAULTS = {
+  // Whisper language code ("en", "pl", "ja", ...) or "auto" to detect it
+  language: 'en',
+  // Translate speech into English text instead of transcribing it
+  translate: false,
+  // Show partial transcripts while recording (needs `vox server start`)
+  live: false,
+  // Applied to every transcript (see `vox rules`)
+  rules: {
+    enabled: true,
+    // "new line", "comma", "open paren", ... become the characters
+    spokenPunctuation: true,
+    // "camel case foo bar" -> fooBar (also pascal, snake, kebab, constant)
+    casing: true,
+    // { "from": "cube cuddle", "to": "kubectl" } or { "pattern": "\\bk8s\\b", "flags": "gi", "to": "Kubernetes" }
+    replacements: []
+  },
+  // Optional pass after the rules that drops "um" and "uh", repeated words and,
+  // when set off by commas, "you know" or "I mean", and fixes capitalization and
+  // punctuation (see `vox cleanup`)
+  cleanup: {
+    enabled: false,
+    // "builtin" (offline rules) or "llm" (the OpenAI-compatible endpoint below)
+    engine: 'builtin',
+    // Also turn the dictation into a concise prompt (no hedging or politeness)
+    rephrase: false,
+    llm: {
+      // Ollama; llama.cpp's llama-server listens on http://127.0.0.1:8080/v1
+      url: 'http://127.0.0.1:11434/v1',
+      model: 'llama3.2',
+      // Or set KOSHI_VOX_LLM_API_KEY
+      apiKey: null,
+      timeoutMs: 30000
+    }
+  },
+  output: {
+    // text, json, srt, vtt or tsv (what lands on the clipboard / stdout)
+    format: 'text',
+    // Word-level start/end times in json, vtt and tsv output (slower)
+    wordTimestamps: false
+  },
+  // Terms from ~/.config/koshi-vox/vocabulary.txt and the project's .vox-vocabulary
+  // (see `vox vocab`), given to Whisper as a prompt so it spells them right
+  vocabulary: {
+    enabled: true,
+    // Also pass them as hotwords (faster-whisper 1.0.2+)
+    hotwords: true
+  },
+  // Audio conditioning before Whisper, in this order (vox-debug shows each step).
+  // Every step is opt-in, so Whisper gets the raw audio until one is switched on.
+  preprocess: {
+    enabled: true,
+    // Cut rumble and hum below this frequency
+    highpass: false,
+    highpassHz: 80,
+    // Spectral gating: turn down what doesn't rise above the noise by this much
+    denoise: false,
+    denoiseDb: 12,
+    // Drop leading/trailing audio this far below the loudest part
+    trim: false,
+    trimDb: 35,
+    // Bring speech to this level (dBFS), so quiet microphones aren't a problem.
+    // Never applied to the short chunks of --live, where it would boost silence.
+    normalize: false,
+    normalizeDb: -20
+  },
+  model: {
+    size: 'base',
+    device: 'cpu',
+    computeType: 'int8',
+    cpuThreads: 8,
+    beamSize: 1
+  },
+  recorder: {
+    // "auto" or one of: sox, ffmpeg, arecord, parec, pw-record
+    backend: 'auto',
+    // null for the system default, else an index, id or name from `vox devices`
+    device: null,
+    // Recordings stop here (with a countdown shortly before)
+    maxSeconds: 600,
+    // Hands-free mode: stop after a pause instead of waiting for a key
+    autoStop: {
+      enabled: false,
+      silenceSeconds: 1.5,
+      minSeconds: 1
+    }
+  },
+  server: {
+    port: 8765
+  },
+  // Tried in order; unavailable ones (no display, tool not installed) are skipped
+  clipboard: {
+    order: ['pbcopy', 'wl-copy', 'xclip', 'xsel', 'tmux', 'osc52']
+  },
+  // Opt-in: after copying, paste into the focused window (--paste per run)
+  paste: {
+    enabled: false,
+    // "paste" sends the shortcut below, "type" types the text key by key
+    mode: 'paste',
+    // "auto" or one of: osascript, xdotool, wtype, ydotool
+    tool: 'auto',
+    // Linux only (macOS always uses Cmd+V); ctrl+shift+v also works in terminals
+    shortcut: 'ctrl+shift+v',
+    delayMs: 150,
+    // Put the previous clipboard text back afterwards
+    restoreClipboard: false
+  },
+  // Opt-in desktop notifications, for when vox runs from a hotkey or another window
+  notifications: {
+    enabled: false,
+    // "auto" or one of: osascript, notify-send, gdbus
+    tool: 'auto',
+    // Which events show one
+    events: {
+      start: false,
+      stop: false,
+      success: true,
+      error: true
+    },
+    // Longer transcripts are cut short in the notification
+    previewChars: 120
+  },
+  // Sounds for recording start/stop, a finished transcript and errors (see `vox sounds`)
+  sounds: {
+    muted: false,
+    // "koshi" (bundled), "system", "bell", or a directory under ~/.config/koshi-vox/sounds
+    theme: 'koshi',
+    // 0 (silent) to 1 (the file's own level)
+    volume: 0.8,
+    events: {
+      start: false,
+      stop: false,
+      success: true,
+      error: true
+    },
+    // Your own files per event, in place of the theme's (null = theme)
+    files: {
+      start: null,
+      stop: null,
+      success: null,
+      error: null
+    }
+  },
+  // `vox listen`: push-to-talk in the background with the model kept loaded
+  listen: {
+    // "hold" records while the key is down, "toggle" from one press to the next
+    mode: 'hold',
+    // A key that types nothing on its own (see `vox listen keys`)
+    key: 'rightalt',
+    // "auto" or one of: evdev, x11, macos, terminal
+    provider: 'auto',
+    // Shorter presses are taken as accidental and ignored
+    minSeconds: 0.3
+  },
+  // Opt-in: keep recordings instead of deleting them (null = no limit)
+  archive: {
+    enabled: false,
+    // Default: ~/.local/share/koshi-vox/recordings (~/Library/Application Support on macOS)
+    dir: null,
+    keep: 100,
+    maxDays: 30,
+    maxSizeMB: 1000
+  },
+  // Transcripts kept in ~/.config/koshi-vox/history.jsonl (null = no limit)
+  history: {
+    enabled: true,
+    maxEntries: 1000,
+    maxDays: null
+  }
+};
+
+// Approximate download sizes, shown by the installer
+const MODEL_SIZES = {
+  'tiny': '~39MB',
+  'tiny.en': '~39MB',
+  'base': '~74MB',
+  'base.en': '~74MB',
+  'small': '~244MB',
+  'small.en': '~244MB',
+  'medium': '~769MB',
+  'medium.en': '~769MB',
+  'large-v1': '~1.5GB',
+  'large-v2': '~1.5GB',
+  'large-v3': '~1.5GB'
+};
+
+const DEVICES = ['cpu', 'cuda', 'auto'];
+const COMPUTE_TYPES = ['int8', 'int8_float16', 'int8_float32', 'int16', 'float16', 'float32', 'default', 'auto'];
+
+// Language codes Whisper knows (faster-whisper's tokenizer list; yue is large-v3 only)
+const LANGUAGES = [
+  'af', 'am', 'ar', 'as', 'az', 'ba', 'be', 'bg', 'bn', 'bo', 'br', 'bs', 'ca', 'cs', 'cy', 'da', 'de',
+  'el', 'en', 'es', 'et', 'eu', 'fa', 'fi', 'fo', 'fr', 'gl', 'gu', 'ha', 'haw', 'he', 'hi', 'hr', 'ht',
+  'hu', 'hy', 'id', 'is', 'it', 'ja', 'jw', 'ka', 'kk', 'km', 'kn', 'ko', 'la', 'lb', 'ln', 'lo', 'lt',
+  'lv', 'mg', 'mi', 'mk', 'ml', 'mn', 'mr', 'ms', 'mt', 'my', 'ne', 'nl', 'nn', 'no', 'oc', 'pa', 'pl',
+  'ps', 'pt', 'ro', 'ru', 'sa', 'sd', 'si', 'sk', 'sl', 'sn', 'so', 'sq', 'sr', 'su', 'sv', 'sw', 'ta',
+  'te', 'tg', 'th', 'tk', 'tl', 'tr', 'tt', 'uk', 'ur', 'uz', 'vi', 'yi', 'yo', 'yue', 'zh'
+];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Deep merge user settings over defaults (arrays and scalars replace)
+function merge(base, override) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    result[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? merge(base[key], value)
+      : value;
+  }
+  return result;
+}
+
+function positiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+function positiveNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+// Returns a list of problems; an empty list means the config is usable
+function validateConfig(config) {
+  const errors = [];
+  const { rules, cleanup, output, vocabulary, preprocess, model, recorder, server, clipboard, paste, notifications, sounds, listen, archive, history } = config;
+
+  if (config.language !== 'auto' && !LANGUAGES.includes(config.language)) {
+    errors.push('language must be "auto" or a Whisper language code such as "en", "pl", "ja", "de"');
+  }
+  if (typeof config.translate !== 'boolean') {
+    errors.push('translate must be true or false');
+  }
+  if (typeof config.live !== 'boolean') {
+    errors.push('live must be true or false');
+  }
+  for (const key of ['enabled', 'spokenPunctuation', 'casing']) {
+    if (typeof rules[key] !== 'boolean') {
+      errors.push(`rules.${key} must be true or false`);
+    }
+  }
+  errors.push(...validateReplacements(rules.replacements));
+  for (const key of ['enabled', 'rephrase']) {
+    if (typeof cleanup[key] !== 'boolean') {
+      errors.push(`cleanup.${key} must be true or false`);
+    }
+  }
+  if (!CLEANUP_ENGINES.includes(cleanup.engine)) {
+    errors.push(`cleanup.engine must be one of: ${CLEANUP_ENGINES.join(', ')}`);
+  }
+  if (typeof cleanup.llm.url !== 'string' || !/^https?:\/\/[^/]+/.test(cleanup.llm.url)) {
+    errors.push('cleanup.llm.url must be an http(s) URL such as "http://127.0.0.1:11434/v1"');
+  }
+  if (typeof cleanup.llm.model !== 'string' || !cleanup.llm.model) {
+    errors.push('cleanup.llm.model must be a model name such as "llama3.2"');
+  }
+  if (cleanup.llm.apiKey !== null && typeof cleanup.llm.apiKey !== 'string') {
+    errors.push('cleanup.llm.apiKey must be null or a string');
+  }
+  if (!positiveInteger(cleanup.llm.timeoutMs)) {
+    errors.push('cleanup.llm.timeoutMs must be a positive integer');
+  }
+  if (!OUTPUT_FORMATS.includes(output.format)) {
+    errors.push(`output.format must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  if (typeof output.wordTimestamps !== 'boolean') {
+    errors.push('output.wordTimestamps must be true or false');
+  }
+  if (typeof vocabulary.enabled !== 'boolean') {
+    errors.push('vocabulary.enabled must be true or false');
+  }
+  if (typeof vocabulary.hotwords !== 'boolean') {
+    errors.push('vocabulary.hotwords must be true or false');
+  }
+  for (const key of ['enabled', 'highpass', 'denoise', 'trim', 'normalize']) {
+    if (typeof preprocess[key] !== 'boolean') {
+      errors.push(`preprocess.${key} must be true or false`);
+    }
+  }
+  if (!positiveNumber(preprocess.highpassHz) || preprocess.highpassHz >= 1000) {
+    errors.push('preprocess.highpassHz must be a frequency between 0 and 1000 (Hz)');
+  }
+  if (!positiveNumber(preprocess.denoiseDb) || preprocess.denoiseDb > 60) {
+    errors.push('preprocess.denoiseDb must be a number of dB between 0 and 60');
+  }
+  if (!positiveNumber(preprocess.trimDb) || preprocess.trimDb > 100) {
+    errors.push('preprocess.trimDb must be a number of dB between 0 and 100');
+  }
+  if (typeof preprocess.normalizeDb !== 'number' || !(preprocess.normalizeDb < 0 && preprocess.normalizeDb >= -60)) {
+    errors.push('preprocess.normalizeDb must be a level between -60 and 0 (dBFS)');
+  }
+  if (typeof model.size !== 'string' || !model.size) {
+    errors.push('model.size must be a model name such as "base" or "large-v3"');
+  }
+  if (!DEVICES.includes(model.device)) {
+    errors.push(`model.device must be one of: ${DEVICES.join(', ')}`);
+  }
+  if (!COMPUTE_TYPES.includes(model.computeType)) {
+    errors.push(`model.computeType must be one of: ${COMPUTE_TYPES.join(', ')}`);
+  }
+  if (!positiveInteger(model.cpuThreads)) {
+    errors.push('model.cpuThreads must be a positive integer');
+  }
+  if (!positiveInteger(model.beamSize)) {
+    errors.push('model.beamSize must be a positive integer');
+  }
+  if (recorder.backend !== 'auto' && !BACKEND_NAMES.includes(recorder.backend)) {
+    errors.push(`recorder.backend must be "auto" or one of: ${BACKEND_NAMES.join(', ')}`);
+  }
+  if (recorder.device !== null && !(typeof recorder.device === 'string' && recorder.device)
+      && !(Number.isInteger(recorder.device) && recorder.device >= 0)) {
+    errors.push('recorder.device must be null, a device index or a device name');
+  }
+  if (!positiveNumber(recorder.maxSeconds)) {
+    errors.push('recorder.maxSeconds must be a positive number');
+  }
+  const { autoStop } = recorder;
+  if (typeof autoStop.enabled !== 'boolean') {
+    errors.push('recorder.autoStop.enabled must be true or false');
+  }
+  if (!positiveNumber(autoStop.silenceSeconds)) {
+    errors.push('recorder.autoStop.silenceSeconds must be a positive number');
+  }
+  // Not checked against recorder.maxSeconds: that limit stops the recording
+  // regardless, so a shorter --max simply cuts hands-free mode off early
+  if (typeof autoStop.minSeconds !== 'number' || !(autoStop.minSeconds >= 0)) {
+    errors.push('recorder.autoStop.minSeconds must be 0 or more');
+  }
+  if (!positiveInteger(server.port) || server.port > 65535) {
+    errors.push('server.port must be a valid TCP port');
+  }
+  if (!Array.isArray(clipboard.order) || clipboard.order.length === 0
+      || !clipboard.order.every((name) => CLIPBOARD_METHODS.includes(name))) {
+    errors.push(`clipboard.order must be a list of: ${CLIPBOARD_METHODS.join(', ')}`);
+  }
+  if (typeof paste.enabled !== 'boolean') {
+    errors.push('paste.enabled must be true or false');
+  }
+  if (!['paste', 'type'].includes(paste.mode)) {
+    errors.push('paste.mode must be "paste" or "type"');
+  }
+  if (paste.tool !== 'auto' && !TYPER_NAMES.includes(paste.tool)) {
+    errors.push(`paste.tool must be "auto" or one of: ${TYPER_NAMES.join(', ')}`);
+  }
+  if (typeof paste.shortcut !== 'string' || !/^([a-z]+\+)*[a-z0-9]+$/i.test(paste.shortcut)) {
+    errors.push('paste.shortcut must be a key combination such as "ctrl+shift+v"');
+  }
+  if (!Number.isInteger(paste.delayMs) || paste.delayMs < 0) {
+    errors.push('paste.delayMs must be 0 or a positive integer');
+  }
+  if (typeof paste.restoreClipboard !== 'boolean') {
+    errors.push('paste.restoreClipboard must be true or false');
+  }
+  if (typeof notifications.enabled !== 'boolean') {
+    errors.push('notifications.enabled must be true or false');
+  }
+  if (notifications.tool !== 'auto' && !NOTIFIER_NAMES.includes(notifications.tool)) {
+    errors.push(`notifications.tool must be "auto" or one of: ${NOTIFIER_NAMES.join(', ')}`);
+  }
+  for (const event of NOTIFY_EVENTS) {
+    if (typeof notifications.events[event] !== 'boolean') {
+      errors.push(`notifications.events.${event} must be true or false`);
+    }
+  }
+  if (!positiveInteger(notifications.previewChars)) {
+    errors.push('notifications.previewChars must be a positive integer');
+  }
+  if (typeof sounds.muted !== 'boolean') {
+    errors.push('sounds.muted must be true or false');
+  }
+  if (typeof sounds.theme !== 'string' || !/^[\w-]+$/.test(sounds.theme)) {
+    errors.push('sounds.theme must be a theme name such as "koshi", "system" or "bell"');
+  }
+  if (typeof sounds.volume !== 'number' || !(sounds.volume >= 0 && sounds.volume <= 1)) {
+    errors.push('sounds.volume must be a number between 0 and 1');
+  }
+  for (const event of SOUND_EVENTS) {
+    if (typeof sounds.events[event] !== 'boolean') {
+      errors.push(`sounds.events.${event} must be true or false`);
+    }
+    if (sounds.files[event] !== null && (typeof sounds.files[event] !== 'string' || !sounds.files[event])) {
+      errors.push(`sounds.files.${event} must be null or the path of an audio file`);
+    }
+  }
+  if (!['hold', 'toggle'].includes(listen.mode)) {
+    errors.push('listen.mode must be "hold" or "toggle"');
+  }
+  if (!HOTKEY_NAMES.includes(listen.key)) {
+    errors.push(`listen.key must be one of: ${HOTKEY_NAMES.join(', ')}`);
+  }
+  if (listen.provider !== 'auto' && !HOTKEY_PROVIDERS.includes(listen.provider)) {
+    errors.push(`listen.provider must be "auto" or one of: ${HOTKEY_PROVIDERS.join(', ')}`);
+  }
+  if (typeof listen.minSeconds !== 'number' || !(listen.minSeconds >= 0)) {
+    errors.push('listen.minSeconds must be 0 or more');
+  }
+  if (typeof archive.enabled !== 'boolean') {
+    errors.push('archive.enabled must be true or false');
+  }
+  if (archive.dir !== null && (typeof archive.dir !== 'string' || !archive.dir)) {
+    errors.push('archive.dir must be a directory path or null');
+  }
+  if (archive.keep !== null && !positiveInteger(archive.keep)) {
+    errors.push('archive.keep must be a positive integer or null');
+  }
+  if (archive.maxDays !== null && !positiveNumber(archive.maxDays)) {
+    errors.push('archive.maxDays must be a positive number or null');
+  }
+  if (archive.maxSizeMB !== null && !positiveNumber(archive.maxSizeMB)) {
+    errors.push('archive.maxSizeMB must be a positive number or null');
+  }
+  if (typeof history.enabled !== 'boolean') {
+    errors.push('history.enabled must be true or false');
+  }
+  if (history.maxEntries !== null && !positiveInteger(history.maxEntries)) {
+    errors.push('history.maxEntries must be a positive integer or null');
+  }
+  if (history.maxDays !== null && !positiveNumber(history.maxDays)) {
+    errors.push('history.maxDays must be a positive number or null');
+  }
+
+  return errors;
+}
+
+// Only what the user has written, without defaults
+function readUserConfig() {
+  if (!fs.existsSync(CONFIG_PATH)) {
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not parse ${CONFIG_PATH}: ${error.message}`);
+  }
+}
+
+function loadConfig() {
+  const config = merge(DEFAULTS, readUserConfig());
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid config in ${CONFIG_PATH}:\n  ${errors.join('\n  ')}`);
+  }
+  return config;
+}
+
+function saveUserConfig(userConfig) {
+  ensureConfigDir();
+  fs.writeFileSync(CONFIG_PATH, JSON.stringify(userConfig, null, 2) + '\n');
+}
+
+// Write the model settings out once so there is a file to edit. Only those:
+// loadConfig() merges the defaults in, and a copy of every default here would
+// keep the user on old values when a later version changes them.
+function ensureConfigFile() {
+  if (!fs.existsSync(CONFIG_PATH)) {
+    saveUserConfig({ model: DEFAULTS.model });
+    return true;
+  }
+  return false;
+}
+
+function getValue(config, key) {
+  return key.split('.').reduce((node, part) => (isPlainObject(node) ? node[part] : undefined), config);
+}
+
+// Values are parsed as JSON when possible so numbers and booleans keep their type
+function parseValue(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+}
+
+function setIn(target, key, value) {
+  const parts = key.split('.');
+  let node = target;
+
+  for (const part of parts.slice(0, -1)) {
+    if (!isPlainObject(node[part])) {
+      node[part] = {};
+    }
+    node = node[part];
+  }
+  node[parts[parts.length - 1]] = value;
+}
+
+function setValue(key, rawValue) {
+  const userConfig = readUserConfig();
+  setIn(userConfig, key, parseValue(rawValue));
+
+  // Refuse to persist something loadConfig() would reject
+  const errors = validateConfig(merge(DEFAULTS, userConfig));
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'));
+  }
+
+  saveUserConfig(userConfig);
+  return getValue(userConfig, key);
+}
+
+// One-off "key=value" overrides from command-line flags (not persisted)
+function applyOverrides(config, overrides) {
+  const result = JSON.parse(JSON.stringify(config));
+  for (const override of overrides) {
+    const index = override.indexOf('=');
+    if (index <= 0) {
+      throw new Error(`Invalid override "${override}" (expected key=value)`);
+    }
+    setIn(result, override.slice(0, index), parseValue(override.slice(index + 1)));
+  }
+
+  const errors = validateConfig(result);
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'));
+  }
+  return result;
+}
+
+// Config as resolved by bin/vox (flags included) when it runs us, else from disk
+function currentConfig() {
+  return process.env.KOSHI_VOX_CONFIG
+    ? JSON.parse(process.env.KOSHI_VOX_CONFIG)
+    : loadConfig();
+}
+
+function unsetValue(key) {
+  const userConfig = readUserConfig();
+  const parts = key.split('.');
+  const parent = parts.length === 1 ? userConfig : getValue(userConfig, parts.slice(0, -1).join('.'));
+
+  if (isPlainObject(parent)) {
+    delete parent[parts[parts.length - 1]];
+    saveUserConfig(userConfig);
+  }
+}
+
+module.exports = {
+  CONFIG_PATH,
+  DEFAULTS,
+  MODEL_SIZES,
+  LANGUAGES,
+  loadConfig,
+  currentConfig,
+  applyOverrides,
+  validateConfig,
+  readUserConfig,
+  ensureConfigFile,
+  getValue,
+  setValue,
+  unsetValue
+};
@@ -0,0 +1,80 @@
+// Transcript output formats: plain text, JSON and timestamped subtitles/tables
+// built from the segments (and optional words) transcriber.py returns
+
+const OUTPUT_FORMATS = ['text', 'json', 'srt', 'vtt', 'tsv'];
+
+// File extension for `vox transcribe --output-dir`
+const EXTENSIONS = { text: 'txt', json: 'json', srt: 'srt', vtt: 'vtt', tsv: 'tsv' };
+
+// HH:MM:SS plus milliseconds after `separator` ("," for SRT, "." for VTT)
+function formatTimestamp(seconds, separator) {
+  const ms = Math.round(seconds * 1000);
+  const pad = (value, width = 2) => String(value).padStart(width, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+// "-->" inside a cue would end its timing line
+function cueText(text) {
+  return text.replace(/-->/g, '->');
+}
+
+function toJson(result) {
+  const { text, language, language_probability: probability, task, duration, segments = [] } = result;
+  return JSON.stringify({ text, language, language_probability: probability, task, duration, segments }, null, 2);
+}
+
+function toSrt(segments) {
+  return segments
+    .map((segment, index) => [
+      index + 1,
+      `${formatTimestamp(segment.start, ',')} --> ${formatTimestamp(segment.end, ',')}`,
+      cueText(segment.text),
+      ''
+    ].join('\n'))
+    .join('\n');
+}
+
+// With word timestamps each word gets an inline <timestamp> tag (karaoke-style cues)
+function vttCue(segment) {
+  if (!segment.words || segment.words.length === 0) {
+    return cueText(segment.text);
+  }
+  return segment.words
+    .map((word, index) => `${index > 0 ? `<${formatTimestamp(word.start, '.')}>` : ''}${cueText(word.word)}`)
+    .join(' ');
+}
+
+function toVtt(segments) {
+  const cues = segments.map((segment) => [
+    `${formatTimestamp(segment.start, '.')} --> ${formatTimestamp(segment.end, '.')}`,
+    vttCue(segment),
+    ''
+  ].join('\n'));
+  return ['WEBVTT', '', ...cues].join('\n');
+}
+
+// Milliseconds like Whisper's own TSV; one row per word when word timestamps are on
+function toTsv(segments) {
+  const rows = segments.flatMap((segment) => (segment.words && segment.words.length > 0
+    ? segment.words.map((word) => [word.start, word.end, word.word])
+    : [[segment.start, segment.end, segment.text]]));
+  return ['start\tend\ttext', ...rows.map(([start, end, text]) => `${Math.round(start * 1000)}\t${Math.round(end * 1000)}\t${text.replace(/\s+/g, ' ')}`)].join('\n');
+}
+
+function formatTranscript(result, format = 'text') {
+  const segments = result.segments || [];
+  switch (format) {
+    case 'json':
+      return toJson(result);
+    case 'srt':
+      return toSrt(segments);
+    case 'vtt':
+      return toVtt(segments);
+    case 'tsv':
+      return toTsv(segments);
+    default:
+      return result.text;
+  }
+}
+
+module.exports = { OUTPUT_FORMATS, EXTENSIONS, formatTimestamp, formatTranscript };
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const { CONFIG_DIR, ensureConfigDir } = require('./paths');
+
+// One JSON object per line, oldest first
+const HISTORY_FILE = path.join(CONFIG_DIR, 'history.jsonl');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function readHistory() {
+  if (!fs.existsSync(HISTORY_FILE)) {
+    return [];
+  }
+  return fs.readFileSync(HISTORY_FILE, 'utf-8')
+    .split('\n')
+    .filter(Boolean)
+    .flatMap((line) => {
+      // Skip a line cut short by a crash rather than losing the whole history
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+}
+
+function writeHistory(entries) {
+  ensureConfigDir();
+  const data = entries.map((entry) => JSON.stringify(entry)).join('\n');
+  // Dictations can be private: readable by the owner only
+  fs.writeFileSync(HISTORY_FILE, data ? `${data}\n` : '', { mode: 0o600 });
+}
+
+// Apply history.maxEntries / history.maxDays (null means no limit)
+function prune(entries, { maxEntries = null, maxDays = null } = {}, now = Date.now()) {
+  let kept = entries;
+  if (maxDays) {
+    kept = kept.filter((entry) => now - Date.parse(entry.timestamp) <= maxDays * DAY_MS);
+  }
+  if (maxEntries && kept.length > maxEntries) {
+    kept = kept.slice(kept.length - maxEntries);
+  }
+  return kept;
+}
+
+// Append a transcript and enforce retention; returns the stored entry
+function addEntry({ text, duration = null, model = null, language = null, task = 'transcribe', audio = null }, retention) {
+  const entries = readHistory();
+  const entry = {
+    id: entries.length > 0 ? entries[entries.length - 1].id + 1 : 1,
+    timestamp: new Date().toISOString(),
+    duration,
+    model,
+    language,
+    task,
+    text,
+    // Archived recording (archive.enabled), if any
+    audio
+  };
+  writeHistory(prune([...entries, entry], retention));
+  return entry;
+}
+
+// Newest first
+function listEntries(limit) {
+  return readHistory().reverse().slice(0, limit);
+}
+
+// Every word of the query has to appear (case-insensitive), newest first
+function searchEntries(query) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return readHistory()
+    .reverse()
+    .filter((entry) => terms.every((term) => entry.text.toLowerCase().includes(term)));
+}
+
+// By id, or the latest entry when no id is given
+function findEntry(id) {
+  const entries = readHistory();
+  if (id === undefined) {
+    return entries[entries.length - 1] || null;
+  }
+  return entries.find((entry) => entry.id === Number(id)) || null;
+}
+
+function clearHistory() {
+  fs.rmSync(HISTORY_FILE, { force: true });
+}
+
+module.exports = {
+  HISTORY_FILE,
+  readHistory,
+  prune,
+  addEntry,
+  listEntries,
+  searchEntries,
+  findEntry,
+  clearHistory
+};
@@ -0,0 +1,288 @@
+const fs = require('fs');
+const EventEmitter = require('events');
+const { spawn } = require('child_process');
+const { commandExists } = require('./recorder');
+const { onKeypress, CTRL_C } = require('./ui');
+
+// Keys that make sense for push-to-talk: ones that type nothing on their own.
+// evdev is the Linux input event code (X11 keycodes are the same plus 8); mac is
+// the macOS virtual key code, and for modifiers macMask is the device-specific
+// flag that tells left from right in NSEvent.modifierFlags.
+const KEYS = {
+  rightalt: { label: 'Right Alt (Option)', evdev: 100, mac: 61, macMask: 0x40 },
+  rightctrl: { label: 'Right Ctrl', evdev: 97, mac: 62, macMask: 0x2000 },
+  rightshift: { label: 'Right Shift', evdev: 54, mac: 60, macMask: 0x4 },
+  rightmeta: { label: 'Right Super (Command)', evdev: 126, mac: 54, macMask: 0x10 },
+  leftalt: { label: 'Left Alt (Option)', evdev: 56, mac: 58, macMask: 0x20 },
+  leftctrl: { label: 'Left Ctrl', evdev: 29, mac: 59, macMask: 0x1 },
+  leftmeta: { label: 'Left Super (Command)', evdev: 125, mac: 55, macMask: 0x8 },
+  menu: { label: 'Menu', evdev: 127 },
+  scrolllock: { label: 'Scroll Lock', evdev: 70 },
+  pause: { label: 'Pause', evdev: 119 },
+  insert: { label: 'Insert', evdev: 110, mac: 114 },
+  f1: { label: 'F1', evdev: 59, mac: 122 },
+  f2: { label: 'F2', evdev: 60, mac: 120 },
+  f3: { label: 'F3', evdev: 61, mac: 99 },
+  f4: { label: 'F4', evdev: 62, mac: 118 },
+  f5: { label: 'F5', evdev: 63, mac: 96 },
+  f6: { label: 'F6', evdev: 64, mac: 97 },
+  f7: { label: 'F7', evdev: 65, mac: 98 },
+  f8: { label: 'F8', evdev: 66, mac: 100 },
+  f9: { label: 'F9', evdev: 67, mac: 101 },
+  f10: { label: 'F10', evdev: 68, mac: 109 },
+  f11: { label: 'F11', evdev: 87, mac: 103 },
+  f12: { label: 'F12', evdev: 88, mac: 111 },
+  f13: { label: 'F13', evdev: 183, mac: 105 },
+  f14: { label: 'F14', evdev: 184, mac: 107 },
+  f15: { label: 'F15', evdev: 185, mac: 113 },
+  f16: { label: 'F16', evdev: 186, mac: 106 },
+  f17: { label: 'F17', evdev: 187, mac: 64 },
+  f18: { label: 'F18', evdev: 188, mac: 79 },
+  f19: { label: 'F19', evdev: 189, mac: 80 },
+  f20: { label: 'F20', evdev: 190, mac: 90 }
+};
+
+const KEY_NAMES = Object.keys(KEYS);
+
+// struct input_event: a timeval (two longs), then type (u16), code (u16), value (s32)
+const EV_KEY = 1;
+const EVENT_SIZE = ['x64', 'arm64', 'ppc64', 's390x', 'riscv64', 'loong64'].includes(process.arch) ? 24 : 16;
+
+// Keyboards from /proc/bus/input/devices that have `code`, as /dev/input/eventN paths
+function evdevKeyboards(code) {
+  let listing;
+  try {
+    listing = fs.readFileSync('/proc/bus/input/devices', 'utf-8');
+  } catch {
+    return [];
+  }
+  return listing.split('\n\n').flatMap((block) => {
+    const handler = block.match(/^H: Handlers=.*\b(event\d+)\b/m);
+    const keys = block.match(/^B: KEY=([0-9a-f ]+)$/m);
+    if (!handler || !keys) {
+      return [];
+    }
+    // Space-separated words, most significant first, each as wide as a long
+    const bitsPerWord = EVENT_SIZE === 24 ? 64 : 32;
+    const words = keys[1].trim().split(/\s+/).reverse();
+    const word = words[Math.floor(code / bitsPerWord)];
+    const hasKey = word !== undefined && ((BigInt(`0x${word}`) >> BigInt(code % bitsPerWord)) & 1n) === 1n;
+    return hasKey ? [`/dev/input/${handler[1]}`] : [];
+  });
+}
+
+function readable(file) {
+  try {
+    fs.accessSync(file, fs.constants.R_OK);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Passed as `emit` to the providers: emit('down' | 'up'), emit('error', Error)
+// Each provider's start() returns a function that stops it.
+const PROVIDERS = {
+  // Reads the keyboards' event devices directly: works on X11, Wayland and the
+  // console alike, but needs read access to /dev/input (the "input" group)
+  evdev: {
+    description: 'Linux input devices (X11, Wayland, console)',
+    hold: true,
+    usable: (key) => process.platform === 'linux' && KEYS[key].evdev !== undefined
+      && evdevKeyboards(KEYS[key].evdev).some(readable),
+    unusableHint: 'Add yourself to the input group (sudo usermod -aG input $USER) and log in again',
+    start: (key, emit) => {
+      const code = KEYS[key].evdev;
+      const streams = evdevKeyboards(code).filter(readable).map((file) => {
+        let pending = Buffer.alloc(0);
+        const stream = fs.createReadStream(file);
+        stream.on('data', (data) => {
+          pending = Buffer.concat([pending, data]);
+          let offset = 0;
+          for (; offset + EVENT_SIZE <= pending.length; offset += EVENT_SIZE) {
+            const base = offset + EVENT_SIZE - 8;
+            if (pending.readUInt16LE(base) === EV_KEY && pending.readUInt16LE(base + 2) === code) {
+              // 1 press, 0 release, 2 autorepeat (ignored)
+              const value = pending.readInt32LE(base + 4);
+              if (value !== 2) {
+                emit(value === 1 ? 'down' : 'up');
+              }
+            }
+          }
+          pending = pending.subarray(offset);
+        });
+        stream.on('error', (error) => emit('error', new Error(`${file}: ${error.message}`)));
+        return stream;
+      });
+      return () => streams.forEach((stream) => stream.destroy());
+    }
+  },
+  // Raw key events from the X server through xinput; not global under Wayland
+  x11: {
+    description: 'X11 via xinput',
+    hold: true,
+    usable: (key) => process.platform === 'linux' && KEYS[key].evdev !== undefined
+      && Boolean(process.env.DISPLAY) && !process.env.WAYLAND_DISPLAY && commandExists('xinput'),
+    unusableHint: 'Install xinput (X11), or use the evdev provider on Wayland',
+    start: (key, emit) => {
+      const keycode = KEYS[key].evdev + 8;
+      const child = spawn('xinput', ['test-xi2', '--root'], { stdio: ['ignore', 'pipe', 'ignore'] });
+      let type = null;
+      let buffered = '';
+      child.stdout.on('data', (data) => {
+        const lines = `${buffered}${data}`.split('\n');
+        buffered = lines.pop();
+        for (const line of lines) {
+          const event = line.match(/^EVENT type \d+ \((\w+)\)/);
+          if (event) {
+            type = event[1];
+          } else if ((type === 'RawKeyPress' || type === 'RawKeyRelease') && line.trim() === `detail: ${keycode}`) {
+            emit(type === 'RawKeyPress' ? 'down' : 'up');
+            type = null;
+          }
+        }
+      });
+      child.on('error', (error) => emit('error', new Error(`xinput: ${error.message}`)));
+      child.on('exit', (code) => {
+        if (code) {
+          emit('error', new Error(`xinput exited with code ${code}`));
+        }
+      });
+      return () => child.kill();
+    }
+  },
+  // A global event monitor in JavaScript for Automation. macOS asks once to allow
+  // the terminal under Privacy & Security -> Accessibility (and Input Monitoring).
+  macos: {
+    description: 'macOS global event monitor (osascript)',
+    hold: true,
+    usable: (key) => process.platform === 'darwin' && KEYS[key].mac !== undefined && commandExists('osascript'),
+    unusableHint: 'This key has no macOS equivalent - try rightalt or f13-f20',
+    start: (key, emit) => {
+      const { mac, macMask } = KEYS[key];
+      const child = spawn('osascript', ['-l', 'JavaScript', '-e', MACOS_MONITOR], { stdio: ['ignore', 'pipe', 'pipe'] });
+      let buffered = '';
+      let stderr = '';
+      child.stdout.on('data', (data) => {
+        const lines = `${buffered}${data}`.split('\n');
+        buffered = lines.pop();
+        for (const line of lines) {
+          const [type, keyCode, flags, repeat] = line.split(' ').map(Number);
+          if (keyCode !== mac) {
+            continue;
+          }
+          if (type === NS_FLAGS_CHANGED && macMask) {
+            emit((flags & macMask) ? 'down' : 'up');
+          } else if (type === NS_KEY_DOWN && !repeat) {
+            emit('down');
+          } else if (type === NS_KEY_UP) {
+            emit('up');
+          }
+        }
+      });
+      child.stderr.on('data', (data) => {
+        stderr = (stderr + data).slice(-500);
+      });
+      child.on('error', (error) => emit('error', new Error(`osascript: ${error.message}`)));
+      child.on('exit', (code) => {
+        if (code) {
+          emit('error', new Error(`Key monitor stopped${stderr.trim() ? `: ${stderr.trim()}` : ''} - allow your terminal under Privacy & Security -> Accessibility`));
+        }
+      });
+      return () => child.kill();
+    }
+  },
+  // Fallback without global access: SPACE or ENTER in the `vox listen` terminal.
+  // Terminals only report presses, so this is always toggle mode.
+  terminal: {
+    description: 'SPACE or ENTER in this terminal (toggle only)',
+    hold: false,
+    usable: () => Boolean(process.stdin.isTTY),
+    unusableHint: 'Run vox listen in a terminal',
+    start: (key, emit) => onKeypress((pressed) => {
+      if (pressed === ' ' || pressed === '\r' || pressed === '\n') {
+        emit('down');
+      } else if (pressed === CTRL_C || pressed === 'q') {
+        emit('quit');
+      }
+    })
+  }
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+// NSEventType values
+const NS_KEY_DOWN = 10;
+const NS_KEY_UP = 11;
+const NS_FLAGS_CHANGED = 12;
+
+// Prints "<type> <keyCode> <modifierFlags> <isARepeat>" per key event. isARepeat
+// only exists on key down/up events (reading it on flagsChanged throws).
+const MACOS_MONITOR = `
+ObjC.import('AppKit');
+function run() {
+  const out = $.NSFileHandle.fileHandleWithStandardOutput;
+  const mask = (1 << ${NS_KEY_DOWN}) | (1 << ${NS_KEY_UP}) | (1 << ${NS_FLAGS_CHANGED});
+  $.NSEvent.addGlobalMonitorForEventsMatchingMaskHandler(mask, (event) => {
+    const type = event.type;
+    const repeat = type === ${NS_FLAGS_CHANGED} ? 0 : (event.isARepeat ? 1 : 0);
+    const line = [type, event.keyCode, event.modifierFlags, repeat].join(' ') + '\\n';
+    out.writeData($(line).dataUsingEncoding($.NSUTF8StringEncoding));
+  });
+  $.NSApplication.sharedApplication;
+  $.NSApp.run;
+}
+`;
+
+// Global providers first; the terminal is the last resort
+const AUTO_ORDER = {
+  darwin: ['macos', 'terminal'],
+  linux: ['x11', 'evdev', 'terminal']
+};
+
+function selectHotkeyProvider(preferred, key) {
+  if (!KEYS[key]) {
+    throw new Error(`Unknown key: ${key} (choose one of: ${KEY_NAMES.join(', ')})`);
+  }
+  if (preferred !== 'auto') {
+    if (!PROVIDERS[preferred].usable(key)) {
+      const error = new Error(`The ${preferred} hotkey provider can't be used here (listen.provider)`);
+      error.hint = PROVIDERS[preferred].unusableHint;
+      throw error;
+    }
+    return preferred;
+  }
+  const candidates = AUTO_ORDER[process.platform] || ['terminal'];
+  const name = candidates.find((candidate) => PROVIDERS[candidate].usable(key));
+  if (!name) {
+    const error = new Error('No way to listen for a hotkey here');
+    error.hint = PROVIDERS[candidates[0]].unusableHint;
+    throw error;
+  }
+  return name;
+}
+
+// Events: 'down', 'up' (the key), 'quit' (terminal provider: q or Ctrl+C), 'error'
+class Hotkey extends EventEmitter {
+  constructor({ key, provider = 'auto' }) {
+    super();
+    this.key = key;
+    this.providerName = selectHotkeyProvider(provider, key);
+    this.provider = PROVIDERS[this.providerName];
+    this.stopProvider = null;
+  }
+
+  start() {
+    this.stopProvider = this.provider.start(this.key, (event, detail) => this.emit(event, detail));
+    return this;
+  }
+
+  stop() {
+    if (this.stopProvider) {
+      this.stopProvider();
+      this.stopProvider = null;
+    }
+  }
+}
+
+module.exports = { KEYS, KEY_NAMES, PROVIDERS, PROVIDER_NAMES, selectHotkeyProvider, Hotkey };
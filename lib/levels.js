@@ -0,0 +1,49 @@
+// Signal levels for 16-bit PCM, in 0..1 of full scale and in dBFS
+
+// Anything quieter than this is treated as "no input" (a muted or
+// permission-blocked mic delivers exact zeros, a live one hisses around -70..-60)
+const NOISE_FLOOR_DB = -55;
+
+// Lowest level the meter shows
+const METER_FLOOR_DB = -60;
+
+const FULL_SCALE = 32768;
+
+function toDb(level) {
+  return level > 0 ? 20 * Math.log10(level) : -Infinity;
+}
+
+// RMS and peak of a chunk of s16le samples
+function measureLevels(chunk) {
+  const samples = Math.floor(chunk.length / 2);
+  if (samples === 0) {
+    return { rms: 0, peak: 0, rmsDb: -Infinity, peakDb: -Infinity };
+  }
+
+  let sumSquares = 0;
+  let peak = 0;
+  for (let i = 0; i < samples; i++) {
+    const sample = Math.abs(chunk.readInt16LE(i * 2)) / FULL_SCALE;
+    sumSquares += sample * sample;
+    if (sample > peak) {
+      peak = sample;
+    }
+  }
+
+  const rms = Math.sqrt(sumSquares / samples);
+  return { rms, peak, rmsDb: toDb(rms), peakDb: toDb(peak) };
+}
+
+function isAudible(levels) {
+  return levels.rmsDb > NOISE_FLOOR_DB;
+}
+
+// 0..1 position of a dB value on the meter scale
+function meterPosition(db) {
+  if (!Number.isFinite(db) || db <= METER_FLOOR_DB) {
+    return 0;
+  }
+  return Math.min(1, (db - METER_FLOOR_DB) / -METER_FLOOR_DB);
+}
+
+module.exports = { NOISE_FLOOR_DB, METER_FLOOR_DB, toDb, measureLevels, isAudible, meterPosition };
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const EventEmitter = require('events');
+const { HEADER_SIZE, SAMPLE_RATE, wavHeader, pcmDuration } = require('./wav');
+const { transcribeUpload } = require('./server');
+
+// How often the audio captured so far is sent to the server
+const INTERVAL_MS = 3000;
+
+// Segments ending closer than this to the live edge may still change
+// (the speaker could be mid-word), so they stay provisional
+const SETTLE_SECONDS = 2;
+
+// Not worth a model call
+const MIN_CHUNK_SECONDS = 1;
+
+function bytesAt(seconds) {
+  return Math.floor(seconds * SAMPLE_RATE) * 2;
+}
+
+// Segment times are relative to the chunk sent; make them relative to the recording
+function shiftSegment(segment, offset) {
+  const shifted = { ...segment, start: segment.start + offset, end: segment.end + offset };
+  if (segment.words) {
+    shifted.words = segment.words.map((word) => ({ ...word, start: word.start + offset, end: word.end + offset }));
+  }
+  return shifted;
+}
+
+function joinText(segments) {
+  return segments.map((segment) => segment.text).filter(Boolean).join(' ');
+}
+
+// Transcribes a recording while it is still being captured, through the warm
+// server. Segments that have settled are committed and never sent again, so
+// each request only covers the last few seconds and stopping leaves just the tail.
+// Events: 'update' ({ committed, provisional }), 'unavailable' (Error)
+class LiveTranscriber extends EventEmitter {
+  constructor(recorder, config) {
+    super();
+    this.recorder = recorder;
+    this.config = config;
+    this.committed = [];
+    this.committedBytes = 0;
+    this.provisional = '';
+    this.info = null;
+    this.pending = null;
+    this.timer = null;
+    this.failed = false;
+  }
+
+  start() {
+    this.timer = setInterval(() => {
+      // One request at a time; a slow model just means fewer updates
+      if (!this.pending && !this.failed) {
+        this.pending = this.tick().finally(() => {
+          this.pending = null;
+        });
+      }
+    }, INTERVAL_MS);
+    return this;
+  }
+
+  // PCM written so far from `from` (bytes into the data chunk) as a WAV buffer
+  readWav(from, to) {
+    const pcm = Buffer.alloc(to - from);
+    const fd = fs.openSync(this.recorder.file, 'r');
+    try {
+      fs.readSync(fd, pcm, 0, pcm.length, HEADER_SIZE + from);
+    } finally {
+      fs.closeSync(fd);
+    }
+    return Buffer.concat([wavHeader(pcm.length), pcm]);
+  }
+
+  // Once a language has been detected, keep it for the rest of the recording.
+  // No normalization: a few seconds of pause would be boosted by up to 30 dB into
+  // noise Whisper hallucinates words from. The tail sent after stopping is a chunk
+  // like the others, so live mode never normalizes.
+  chunkConfig() {
+    const config = { ...this.config, preprocess: { ...this.config.preprocess, normalize: false } };
+    if (!this.info || this.config.translate) {
+      return config;
+    }
+    return { ...config, language: this.info.language };
+  }
+
+  async transcribe(from, to) {
+    try {
+      const result = await transcribeUpload(this.readWav(from, to), this.chunkConfig());
+      this.info = this.info || result;
+      const offset = pcmDuration(from);
+      return result.segments.map((segment) => shiftSegment(segment, offset));
+    } catch (error) {
+      // A stretch of silence is not an error here
+      if (error.status === 422) {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async tick() {
+    const end = this.recorder.bytes;
+    const chunkSeconds = pcmDuration(end - this.committedBytes);
+    if (chunkSeconds < MIN_CHUNK_SECONDS) {
+      return;
+    }
+
+    let segments;
+    try {
+      segments = await this.transcribe(this.committedBytes, end);
+    } catch (error) {
+      this.failed = true;
+      this.emit('unavailable', error);
+      return;
+    }
+
+    const settled = segments.filter((segment) => segment.end <= pcmDuration(end) - SETTLE_SECONDS);
+    if (settled.length > 0) {
+      this.committed.push(...settled);
+      this.committedBytes = bytesAt(settled[settled.length - 1].end);
+    }
+    this.provisional = joinText(segments.slice(settled.length));
+    this.emit('update', { committed: joinText(this.committed), provisional: this.provisional });
+  }
+
+  cancel() {
+    clearInterval(this.timer);
+  }
+
+  // After the recorder has stopped: transcribe the unsettled tail and return
+  // the whole transcript, or null if live transcription didn't work out
+  async finish() {
+    this.cancel();
+    if (this.pending) {
+      await this.pending;
+    }
+    if (this.failed) {
+      return null;
+    }
+
+    let tail = [];
+    if (this.recorder.bytes > this.committedBytes) {
+      try {
+        tail = await this.transcribe(this.committedBytes, this.recorder.bytes);
+      } catch {
+        return null;
+      }
+    }
+
+    const segments = [...this.committed, ...tail];
+    const text = joinText(segments);
+    if (!text || !this.info) {
+      return null;
+    }
+    return {
+      text,
+      language: this.info.language,
+      language_probability: this.info.language_probability,
+      task: this.info.task,
+      duration: pcmDuration(this.recorder.bytes),
+      segments
+    };
+  }
+}
+
+module.exports = { LiveTranscriber, INTERVAL_MS, SETTLE_SECONDS };
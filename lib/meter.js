@@ -0,0 +1,118 @@
+const { colors, symbols } = require('./ui');
+const { meterPosition } = require('./levels');
+
+// Same ▰▱ bar bin/vox used to draw, now fed from the recorder's real levels
+const WIDTH = 20;
+const REFRESH_MS = 100;
+
+// Warn when nothing above the noise floor has arrived after this long
+const NO_INPUT_SECONDS = 3;
+
+// Count down this many seconds before the recorder's maxDuration
+const COUNTDOWN_SECONDS = 10;
+
+function formatTime(seconds) {
+  const whole = Math.floor(seconds);
+  return `${String(Math.floor(whole / 60)).padStart(2, '0')}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+// Live display: timer (or a warning) above a level bar, plus the latest
+// words of a live transcript once setTranscript() has been called
+class LevelMeter {
+  constructor(recorder, { stream = process.stderr, hint = 'Press SPACE or ENTER to stop' } = {}) {
+    this.recorder = recorder;
+    this.stream = stream;
+    this.hint = hint;
+    this.latest = null;
+    this.fresh = false;
+    this.timer = null;
+    this.drawnLines = 0;
+    this.transcript = null;
+    this.onLevel = (levels) => {
+      // Keep the loudest chunk since the last redraw so short peaks still show
+      if (!this.fresh || levels.rmsDb > this.latest.rmsDb) {
+        this.latest = levels;
+        this.fresh = true;
+      }
+    };
+  }
+
+  start() {
+    this.recorder.on('level', this.onLevel);
+    this.timer = setInterval(() => this.render(), REFRESH_MS);
+    this.render();
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.recorder.removeListener('level', this.onLevel);
+    this.render();
+    this.stream.write('\n');
+  }
+
+  setTranscript({ committed, provisional }) {
+    this.transcript = { committed, provisional };
+  }
+
+  // Only the end of the text fits on one line: settled words in white, the rest gray
+  transcriptLine() {
+    const width = (this.stream.columns || 80) - 2;
+    const committed = this.transcript.committed;
+    const provisional = this.transcript.provisional;
+    const full = [committed, provisional].filter(Boolean).join(' ');
+    if (!full) {
+      return `${colors.gray}…${colors.reset}`;
+    }
+
+    const shown = full.length > width ? `…${full.slice(full.length - width + 1)}` : full;
+    const split = Math.max(0, shown.length - (full.length - committed.length));
+    return `${colors.white}${shown.slice(0, split)}${colors.gray}${shown.slice(split)}${colors.reset}`;
+  }
+
+  statusLine() {
+    const time = formatTime(this.recorder.duration());
+    const remaining = this.recorder.maxDuration ? this.recorder.maxDuration - this.recorder.duration() : Infinity;
+    if (remaining <= COUNTDOWN_SECONDS) {
+      return `${colors.orange}${symbols.warning} ${time} • Limit reached in ${Math.max(0, Math.ceil(remaining))}s (recorder.maxSeconds)${colors.reset}`;
+    }
+    if (!this.recorder.heardInput && this.recorder.duration() >= NO_INPUT_SECONDS) {
+      return `${colors.orange}${symbols.warning} ${time} • No input detected - check your microphone${colors.reset}`;
+    }
+    return `${colors.lime}${symbols.mic} Recording: ${time} • ${colors.white}${this.hint}${colors.reset}`;
+  }
+
+  barLine() {
+    const levels = this.latest;
+    const position = levels ? meterPosition(levels.rmsDb) : 0;
+    const filled = Math.round(position * WIDTH);
+
+    // Green for speech, pink when loud, red when close to clipping
+    let color = colors.lime;
+    if (levels && levels.peak >= 0.99) {
+      color = colors.red;
+    } else if (filled > 16) {
+      color = colors.red;
+    } else if (filled > 12) {
+      color = colors.pink;
+    }
+
+    const db = levels && Number.isFinite(levels.rmsDb) ? `${Math.round(levels.rmsDb)} dB` : '';
+    return `${color}${'▰'.repeat(filled)}${colors.gray}${'▱'.repeat(WIDTH - filled)} ${db}${colors.reset}`;
+  }
+
+  render() {
+    const lines = [this.statusLine(), this.barLine()];
+    if (this.transcript) {
+      lines.push(this.transcriptLine());
+    }
+
+    // Redraw in place: back to the start of the status line
+    const prefix = this.drawnLines > 1 ? `\r\x1b[${this.drawnLines - 1}A` : '\r';
+    this.stream.write(prefix + lines.map((line) => `${line}\x1b[K`).join('\n'));
+    this.drawnLines = lines.length;
+    this.fresh = false;
+  }
+}
+
+module.exports = { LevelMeter, formatTime, NO_INPUT_SECONDS, COUNTDOWN_SECONDS };
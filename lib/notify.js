@@ -0,0 +1,119 @@
+const { spawnSync } = require('child_process');
+const { commandExists } = require('./recorder');
+
+// What can trigger a notification; each one is switched on under notifications.events
+const EVENTS = ['start', 'stop', 'success', 'error'];
+
+const TITLE = 'Vox';
+
+// Used when the caller has nothing more specific to say
+const DEFAULT_MESSAGES = {
+  start: 'Recording...',
+  stop: 'Recording stopped - transcribing...',
+  success: 'Transcript copied to the clipboard',
+  error: 'Transcription failed'
+};
+
+// How long Linux notifications stay up (macOS decides for itself)
+const EXPIRE_MS = 5000;
+
+function run(command, args) {
+  const result = spawnSync(command, args, { stdio: ['ignore', 'ignore', 'pipe'], encoding: 'utf-8', timeout: 5000 });
+  if (result.error) {
+    throw new Error(`${command} ${result.error.code === 'ENOENT' ? 'not found' : result.error.message}`);
+  }
+  if (result.status !== 0) {
+    throw new Error(`${command} failed${result.stderr ? `: ${result.stderr.trim()}` : ''}`);
+  }
+}
+
+// Notifications on Linux go through the session bus
+function hasSessionBus() {
+  return process.platform === 'linux' && Boolean(process.env.DBUS_SESSION_BUS_ADDRESS);
+}
+
+// A GVariant string literal, for gdbus arguments
+function gvariantString(text) {
+  return `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+}
+
+// Tools that show a desktop notification, tried in this order with `auto`.
+// `urgent` is set for errors.
+const NOTIFIERS = {
+  // The text is passed as arguments, so nothing needs escaping
+  osascript: {
+    description: 'macOS Notification Center',
+    usable: () => process.platform === 'darwin' && commandExists('osascript'),
+    notify: (title, body) => run('osascript', [
+      '-e', 'on run argv',
+      '-e', 'display notification (item 2 of argv) with title (item 1 of argv)',
+      '-e', 'end run',
+      '--', title, body
+    ])
+  },
+  'notify-send': {
+    description: 'libnotify (GNOME, KDE, most Linux desktops)',
+    usable: () => hasSessionBus() && commandExists('notify-send'),
+    notify: (title, body, { urgent }) => run('notify-send', [
+      '--app-name', TITLE,
+      '--urgency', urgent ? 'critical' : 'normal',
+      '--expire-time', String(EXPIRE_MS),
+      '--', title, body
+    ])
+  },
+  // org.freedesktop.Notifications directly, for desktops without libnotify-bin
+  gdbus: {
+    description: 'D-Bus notification service via gdbus',
+    usable: () => hasSessionBus() && commandExists('gdbus'),
+    notify: (title, body, { urgent }) => run('gdbus', [
+      'call', '--session',
+      '--dest', 'org.freedesktop.Notifications',
+      '--object-path', '/org/freedesktop/Notifications',
+      '--method', 'org.freedesktop.Notifications.Notify',
+      gvariantString(TITLE), '0', "''", gvariantString(title), gvariantString(body),
+      '[]', `{'urgency': <byte ${urgent ? 2 : 1}>}`, String(EXPIRE_MS)
+    ])
+  }
+};
+
+const NOTIFIER_NAMES = Object.keys(NOTIFIERS);
+
+function selectNotifier(preferred = 'auto') {
+  if (preferred !== 'auto') {
+    if (!NOTIFIERS[preferred].usable()) {
+      throw new Error(`${preferred} is not available here (notifications.tool)`);
+    }
+    return preferred;
+  }
+  const name = NOTIFIER_NAMES.find((candidate) => NOTIFIERS[candidate].usable());
+  if (!name) {
+    const error = new Error('No way to show desktop notifications here');
+    error.hint = process.platform === 'darwin'
+      ? 'osascript should ship with macOS'
+      : 'Install notify-send (libnotify-bin / libnotify), inside a desktop session';
+    throw error;
+  }
+  return name;
+}
+
+// A transcript squeezed onto a line or two
+function preview(text, maxChars) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > maxChars ? `${flat.slice(0, maxChars - 1)}…` : flat;
+}
+
+// Shows `message` (or the event's default) when notifications.enabled and the
+// event are on. Returns the tool used, or null when the event is switched off.
+// Throws when the notification couldn't be shown; callers treat that as cosmetic.
+function notify(event, message, settings) {
+  if (!settings.enabled || !settings.events[event]) {
+    return null;
+  }
+  const tool = selectNotifier(settings.tool);
+  const body = preview(message || DEFAULT_MESSAGES[event], settings.previewChars);
+  const title = event === 'error' ? `${TITLE} - error` : TITLE;
+  NOTIFIERS[tool].notify(title, body, { urgent: event === 'error' });
+  return tool;
+}
+
+module.exports = { EVENTS, NOTIFIERS, NOTIFIER_NAMES, DEFAULT_MESSAGES, selectNotifier, notify };
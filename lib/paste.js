@@ -0,0 +1,132 @@
+const { spawnSync } = require('child_process');
+const { commandExists } = require('./recorder');
+const { copyToClipboard, readClipboard } = require('./clipboard');
+
+// How long the target app gets to read the clipboard before it is restored
+const RESTORE_DELAY_MS = 500;
+
+// Linux input event codes, for ydotool (it has no key names)
+const KEY_CODES = {
+  ctrl: 29, shift: 42, alt: 56, super: 125, insert: 110,
+  a: 30, b: 48, c: 46, d: 32, e: 18, f: 33, g: 34, h: 35, i: 23, j: 36, k: 37, l: 38, m: 50,
+  n: 49, o: 24, p: 25, q: 16, r: 19, s: 31, t: 20, u: 22, v: 47, w: 17, x: 45, y: 21, z: 44
+};
+
+// "ctrl+shift+v" -> { modifiers: ['ctrl', 'shift'], key: 'v' }
+function parseShortcut(shortcut) {
+  const parts = shortcut.toLowerCase().split('+').filter(Boolean);
+  return { modifiers: parts.slice(0, -1), key: parts[parts.length - 1] };
+}
+
+function run(command, args) {
+  const result = spawnSync(command, args, { stdio: ['ignore', 'ignore', 'pipe'], encoding: 'utf-8', timeout: 10000 });
+  if (result.error) {
+    throw new Error(`${command} ${result.error.code === 'ENOENT' ? 'not found' : result.error.message}`);
+  }
+  if (result.status !== 0) {
+    throw new Error(`${command} failed${result.stderr ? `: ${result.stderr.trim()}` : ''}`);
+  }
+}
+
+// AppleScript gets the text as an argument, so nothing needs escaping
+function osascript(lines, ...args) {
+  run('osascript', [...lines.flatMap((line) => ['-e', line]), '--', ...args]);
+}
+
+// Tools that send keystrokes to the focused window. `shortcut` is the paste
+// key combination (macOS always uses Cmd+V).
+const TYPERS = {
+  osascript: {
+    usable: () => process.platform === 'darwin' && commandExists('osascript'),
+    paste: () => osascript(['tell application "System Events" to keystroke "v" using command down']),
+    type: (text) => osascript(['on run argv', 'tell application "System Events" to keystroke (item 1 of argv)', 'end run'], text)
+  },
+  xdotool: {
+    usable: () => Boolean(process.env.DISPLAY) && !process.env.WAYLAND_DISPLAY && commandExists('xdotool'),
+    paste: (shortcut) => run('xdotool', ['key', '--clearmodifiers', shortcut]),
+    type: (text) => run('xdotool', ['type', '--clearmodifiers', '--delay', '0', '--', text])
+  },
+  wtype: {
+    usable: () => Boolean(process.env.WAYLAND_DISPLAY) && commandExists('wtype'),
+    paste: (shortcut) => {
+      const { modifiers, key } = parseShortcut(shortcut);
+      run('wtype', [
+        ...modifiers.flatMap((modifier) => ['-M', modifier]),
+        '-k', key,
+        ...modifiers.reverse().flatMap((modifier) => ['-m', modifier])
+      ]);
+    },
+    type: (text) => run('wtype', ['--', text])
+  },
+  // Works on X11 and Wayland alike, but needs the ydotoold daemon running
+  ydotool: {
+    usable: () => process.platform === 'linux' && commandExists('ydotool'),
+    paste: (shortcut) => {
+      const { modifiers, key } = parseShortcut(shortcut);
+      const codes = [...modifiers, key].map((name) => {
+        if (!KEY_CODES[name]) {
+          throw new Error(`ydotool: unsupported key "${name}" in paste.shortcut`);
+        }
+        return KEY_CODES[name];
+      });
+      run('ydotool', ['key', ...codes.map((code) => `${code}:1`), ...codes.reverse().map((code) => `${code}:0`)]);
+    },
+    type: (text) => run('ydotool', ['type', '--', text])
+  }
+};
+
+const TYPER_NAMES = Object.keys(TYPERS);
+
+// macOS: osascript; Wayland: wtype, then ydotool; X11: xdotool, then ydotool
+function selectTyper(preferred = 'auto') {
+  if (preferred !== 'auto') {
+    if (!TYPERS[preferred].usable()) {
+      throw new Error(`${preferred} is not available here (paste.tool)`);
+    }
+    return preferred;
+  }
+  const name = TYPER_NAMES.find((candidate) => TYPERS[candidate].usable());
+  if (!name) {
+    const error = new Error('No tool to paste with');
+    error.hint = process.platform === 'darwin'
+      ? 'osascript should ship with macOS'
+      : `Install ${process.env.WAYLAND_DISPLAY ? 'wtype' : 'xdotool'} (or ydotool)`;
+    throw error;
+  }
+  return name;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Copy the text, then paste it (or type it) into the focused window after
+// paste.delayMs, optionally putting the previous clipboard text back.
+// Returns { copiedWith, pastedWith, restored }.
+async function pasteText(text, config) {
+  const settings = config.paste;
+  const order = config.clipboard.order;
+
+  // Text only: images and other clipboard contents can't be read back
+  const previous = settings.restoreClipboard ? readClipboard(order) : null;
+  const copiedWith = copyToClipboard(text, order);
+  const typer = selectTyper(settings.tool);
+
+  // Time to let go of the keys and for focus to return to the target window
+  await sleep(settings.delayMs);
+  if (settings.mode === 'type') {
+    TYPERS[typer].type(text);
+  } else {
+    TYPERS[typer].paste(settings.shortcut);
+  }
+
+  let restored = false;
+  if (previous !== null) {
+    await sleep(RESTORE_DELAY_MS);
+    copyToClipboard(previous, order);
+    restored = true;
+  }
+  return { copiedWith, pastedWith: typer, restored };
+}
+
+module.exports = { TYPERS, TYPER_NAMES, selectTyper, pasteText };
@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Directories shared by the installer, the recorder and the server
+const PACKAGE_DIR = path.join(__dirname, '..');
+const LIB_DIR = __dirname;
+const VENV_DIR = path.join(os.homedir(), '.koshi-vox-env');
+const CONFIG_DIR = path.join(os.homedir(), '.config', 'koshi-vox');
+
+// User data (the recordings archive) lives apart from settings
+const DATA_DIR = process.platform === 'darwin'
+  ? path.join(os.homedir(), 'Library', 'Application Support', 'koshi-vox')
+  : path.join(process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share'), 'koshi-vox');
+
+// Ensure the config directory exists before anything writes into it
+function ensureConfigDir() {
+  if (!fs.existsSync(CONFIG_DIR)) {
+    fs.mkdirSync(CONFIG_DIR, { recursive: true });
+  }
+  return CONFIG_DIR;
+}
+
+// Resolve the Python interpreter the same way bin/vox does:
+// KOSHI_VOX_PYTHON first, then the isolated venv, then the system python3
+function pythonCommand() {
+  if (process.env.KOSHI_VOX_PYTHON) {
+    return process.env.KOSHI_VOX_PYTHON;
+  }
+
+  const venvPython = process.platform === 'win32'
+    ? path.join(VENV_DIR, 'Scripts', 'python.exe')
+    : path.join(VENV_DIR, 'bin', 'python');
+
+  if (fs.existsSync(venvPython)) {
+    return venvPython;
+  }
+
+  return process.platform === 'win32' ? 'python' : 'python3';
+}
+
+module.exports = { PACKAGE_DIR, LIB_DIR, VENV_DIR, CONFIG_DIR, DATA_DIR, ensureConfigDir, pythonCommand };
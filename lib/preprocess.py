@@ -0,0 +1,168 @@
+"""Audio conditioning before Whisper: high-pass filter, spectral-gating noise
+reduction, trimming of leading/trailing silence and loudness normalization
+
+Each step is switched on and tuned under `preprocess` in the config. scipy and
+librosa come with the librosa install and are imported only by the steps that
+need them (librosa is slow to import and only the noise reduction uses it).
+"""
+import numpy as np
+
+
+# Fallbacks in case the config could not be passed through
+DEFAULT_PREPROCESS = {
+    "enabled": True,
+    "highpass": False,
+    "highpassHz": 80,
+    "denoise": False,
+    "denoiseDb": 12,
+    "trim": False,
+    "trimDb": 35,
+    "normalize": False,
+    "normalizeDb": -20
+}
+
+# Levels are measured over short frames
+FRAME_SECONDS = 0.02
+
+# Spectral gating: STFT size, and how much of the quietest audio (pauses
+# between words) the noise profile is taken from
+DENOISE_N_FFT = 512
+DENOISE_HOP = 128
+DENOISE_NOISE_PERCENTILE = 10
+# Bins this many standard deviations above the noise profile count as speech
+DENOISE_N_STD = 1.5
+# Below this many STFT frames there are no pauses to learn the noise from
+DENOISE_MIN_FRAMES = 20
+
+# Kept around the speech when trimming, so first and last words aren't clipped
+TRIM_PADDING_SECONDS = 0.2
+
+# Loudness is the RMS of the frames within this range of the loudest one (speech,
+# not pauses); gain is capped so noise isn't blown up and peaks don't clip
+NORMALIZE_RANGE_DB = 30
+NORMALIZE_MAX_GAIN_DB = 30
+PEAK_LIMIT = 0.89  # -1 dBFS
+
+
+def preprocess_options(config):
+    return {**DEFAULT_PREPROCESS, **(config or {}).get("preprocess", {})}
+
+
+def to_db(value):
+    return float(20 * np.log10(max(float(value), 1e-10)))
+
+
+def frame_rms(audio, sr):
+    # RMS of consecutive FRAME_SECONDS frames (the last partial one is dropped)
+    size = max(1, int(sr * FRAME_SECONDS))
+    count = len(audio) // size
+    if count == 0:
+        return np.sqrt(np.mean(audio ** 2, keepdims=True)), size
+    frames = audio[:count * size].reshape(count, size)
+    return np.sqrt(np.mean(frames ** 2, axis=1)), size
+
+
+def highpass(audio, sr, cutoff_hz):
+    # Rumble, desk thumps and mains hum sit below speech (~85 Hz and up)
+    from scipy.signal import butter, sosfilt
+    sos = butter(4, cutoff_hz, btype="highpass", fs=sr, output="sos")
+    return sosfilt(sos, audio).astype(np.float32), {"cutoffHz": cutoff_hz}
+
+
+def denoise(audio, sr, reduction_db):
+    # Spectral gating: learn each frequency's noise level from the quietest frames,
+    # then turn down every time-frequency bin that doesn't rise clearly above it
+    import librosa
+    from scipy.signal import fftconvolve
+
+    stft = librosa.stft(audio, n_fft=DENOISE_N_FFT, hop_length=DENOISE_HOP)
+    if stft.shape[1] < DENOISE_MIN_FRAMES:
+        return audio, {"skipped": "too short to estimate the noise"}
+
+    level_db = librosa.amplitude_to_db(np.abs(stft), ref=1.0)
+    frame_level = level_db.mean(axis=0)
+    quiet = frame_level <= np.percentile(frame_level, DENOISE_NOISE_PERCENTILE)
+    noise_mean = level_db[:, quiet].mean(axis=1, keepdims=True)
+    noise_std = level_db[:, quiet].std(axis=1, keepdims=True)
+
+    speech = (level_db > noise_mean + DENOISE_N_STD * noise_std).astype(np.float32)
+    # Smoothing the mask across neighbouring bins and frames avoids "musical noise"
+    kernel = np.outer(np.hanning(5)[1:-1], np.hanning(9)[1:-1])
+    speech = np.clip(fftconvolve(speech, kernel / kernel.sum(), mode="same"), 0.0, 1.0)
+
+    floor = 10 ** (-reduction_db / 20)
+    gain = floor + (1.0 - floor) * speech
+    cleaned = librosa.istft(stft * gain, hop_length=DENOISE_HOP, length=len(audio))
+    return cleaned.astype(np.float32), {
+        "reductionDb": reduction_db,
+        "gatedPercent": round(100 * float(1.0 - speech.mean()), 1)
+    }
+
+
+def trim(audio, sr, threshold_db):
+    # Frames more than threshold_db below the loudest one count as silence.
+    # Returns the trimmed audio and how many samples were cut from the start.
+    rms, size = frame_rms(audio, sr)
+    loud = np.flatnonzero(rms > np.max(rms) * 10 ** (-threshold_db / 20))
+    if len(loud) == 0:
+        return audio, 0, {"startSeconds": 0.0, "endSeconds": 0.0}
+
+    padding = int(sr * TRIM_PADDING_SECONDS)
+    start = int(max(0, loud[0] * size - padding))
+    end = int(min(len(audio), (loud[-1] + 1) * size + padding))
+    return audio[start:end], start, {
+        "startSeconds": round(start / sr, 2),
+        "endSeconds": round((len(audio) - end) / sr, 2)
+    }
+
+
+def normalize(audio, sr, target_db):
+    rms, _ = frame_rms(audio, sr)
+    loudest = np.max(rms)
+    peak = float(np.max(np.abs(audio))) if len(audio) else 0.0
+    if loudest <= 0 or peak <= 0:
+        return audio, {"skipped": "no signal"}
+
+    active = rms[rms >= loudest * 10 ** (-NORMALIZE_RANGE_DB / 20)]
+    level_db = to_db(np.sqrt(np.mean(active ** 2)))
+    gain_db = min(target_db - level_db, NORMALIZE_MAX_GAIN_DB, to_db(PEAK_LIMIT / peak))
+    return (audio * 10 ** (gain_db / 20)).astype(np.float32), {
+        "levelDb": round(level_db, 1),
+        "gainDb": round(gain_db, 1)
+    }
+
+
+def preprocess_audio(audio, sr, config):
+    """Returns (audio, offset, report). `offset` is how many samples were trimmed
+    from the start, for timestamps relative to the original audio. `report` lists
+    what each step did ({"step": ..., ...}), for vox-debug.
+    A step that fails is reported and skipped rather than failing the transcription.
+    """
+    options = preprocess_options(config)
+    report = []
+    offset = 0
+    if not options["enabled"] or len(audio) == 0:
+        return audio, offset, report
+
+    def run(name, step):
+        nonlocal audio
+        try:
+            audio, details = step()
+            report.append({"step": name, **details})
+        except Exception as e:
+            report.append({"step": name, "error": str(e)})
+
+    if options["highpass"]:
+        run("highpass", lambda: highpass(audio, sr, options["highpassHz"]))
+    if options["denoise"]:
+        run("denoise", lambda: denoise(audio, sr, options["denoiseDb"]))
+    if options["trim"]:
+        def trim_step():
+            nonlocal offset
+            trimmed, offset, details = trim(audio, sr, options["trimDb"])
+            return trimmed, details
+        run("trim", trim_step)
+    if options["normalize"]:
+        run("normalize", lambda: normalize(audio, sr, options["normalizeDb"]))
+
+    return audio, offset, report
@@ -0,0 +1,404 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { spawn, spawnSync } = require('child_process');
+const { SAMPLE_RATE, WavWriter, pcmDuration } = require('./wav');
+const { measureLevels, isAudible, toDb } = require('./levels');
+
+// Run a short-lived listing command; null if it can't be run at all
+function run(command, args) {
+  const result = spawnSync(command, args, { encoding: 'utf-8', timeout: 5000 });
+  return result.error ? null : `${result.stdout || ''}${result.stderr || ''}`;
+}
+
+function listingError(tool) {
+  const error = new RecorderError(`Can't list input devices: ${tool} not found`, `Install ${tool} to list input devices`);
+  error.code = 'ENOLIST';
+  return error;
+}
+
+// ALSA capture hardware from `arecord -l`, addressed as plughw:<card>,<device>
+function alsaDevices() {
+  const output = run('arecord', ['-l']);
+  if (output === null) {
+    throw listingError('arecord');
+  }
+  const devices = [];
+  for (const line of output.split('\n')) {
+    const match = line.match(/^card (\d+): \S+ \[(.+?)\], device (\d+): .*\[(.+?)\]/);
+    if (match) {
+      devices.push({ id: `plughw:${match[1]},${match[3]}`, name: `${match[2]} - ${match[4]}` });
+    }
+  }
+  return devices;
+}
+
+// macOS inputs as numbered by `ffmpeg -f avfoundation -list_devices true`
+function avfoundationDevices() {
+  const output = run('ffmpeg', ['-hide_banner', '-f', 'avfoundation', '-list_devices', 'true', '-i', '']);
+  if (output === null) {
+    throw listingError('ffmpeg');
+  }
+  const devices = [];
+  let inAudio = false;
+  for (const line of output.split('\n')) {
+    if (line.includes('audio devices:')) {
+      inAudio = true;
+    } else if (line.includes('video devices:')) {
+      inAudio = false;
+    } else if (inAudio) {
+      const match = line.match(/\] \[(\d+)\] (.+)$/);
+      if (match) {
+        devices.push({ id: match[1], name: match[2].trim() });
+      }
+    }
+  }
+  return devices;
+}
+
+// PulseAudio (or pipewire-pulse) sources, without the monitors of output sinks
+function pulseDevices() {
+  const output = run('pactl', ['list', 'sources']);
+  if (output === null) {
+    throw listingError('pactl');
+  }
+  return output.split(/^Source #/m)
+    .map((block) => ({
+      id: (block.match(/^\s*Name: (.+)$/m) || [])[1],
+      name: (block.match(/^\s*Description: (.+)$/m) || [])[1]
+    }))
+    .filter((device) => device.id && !device.id.endsWith('.monitor'))
+    .map((device) => ({ id: device.id.trim(), name: (device.name || device.id).trim() }));
+}
+
+// PipeWire audio sources from `pw-dump`, falling back to pactl
+function pipewireDevices() {
+  const output = run('pw-dump', []);
+  if (output === null) {
+    return pulseDevices();
+  }
+  let objects;
+  try {
+    objects = JSON.parse(output);
+  } catch {
+    return pulseDevices();
+  }
+  return objects
+    .map((object) => (object.info && object.info.props) || {})
+    .filter((props) => props['media.class'] === 'Audio/Source')
+    .map((props) => ({ id: props['node.name'], name: props['node.description'] || props['node.name'] }));
+}
+
+// Every backend streams raw 16 kHz mono s16le PCM to stdout. The Recorder
+// writes the WAV file itself, so stopping is just killing the process.
+// args(device) gets a device id from devices(), or null for the system default.
+const BACKENDS = {
+  sox: {
+    command: 'sox',
+    platforms: ['darwin', 'linux'],
+    description: 'SoX (CoreAudio on macOS, ALSA on Linux)',
+    install: { darwin: 'brew install sox', linux: 'sudo apt install sox' },
+    capabilities: { streaming: true, deviceSelection: true, deviceListing: true },
+    // CoreAudio wants the device name, which matches the AVFoundation listing
+    devices: () => (process.platform === 'darwin'
+      ? avfoundationDevices().map((device) => ({ id: device.name, name: device.name }))
+      : alsaDevices()),
+    args: (device) => [
+      '-q',
+      ...(device ? ['-t', process.platform === 'darwin' ? 'coreaudio' : 'alsa', device] : ['-d']),
+      '-t', 'raw', '-r', String(SAMPLE_RATE), '-c', '1', '-b', '16', '-e', 'signed-integer', '-'
+    ]
+  },
+  ffmpeg: {
+    command: 'ffmpeg',
+    platforms: ['darwin', 'linux'],
+    description: 'FFmpeg (AVFoundation on macOS, ALSA on Linux)',
+    install: { darwin: 'brew install ffmpeg', linux: 'sudo apt install ffmpeg' },
+    capabilities: { streaming: true, deviceSelection: true, deviceListing: true },
+    devices: () => (process.platform === 'darwin' ? avfoundationDevices() : alsaDevices()),
+    args: (device) => [
+      '-hide_banner', '-loglevel', 'error', '-nostdin',
+      ...(process.platform === 'darwin'
+        ? ['-f', 'avfoundation', '-i', `:${device || 0}`]
+        : ['-f', 'alsa', '-i', device || 'default']),
+      '-ar', String(SAMPLE_RATE), '-ac', '1', '-acodec', 'pcm_s16le', '-f', 's16le', '-'
+    ]
+  },
+  arecord: {
+    command: 'arecord',
+    platforms: ['linux'],
+    description: 'ALSA',
+    install: { linux: 'sudo apt install alsa-utils' },
+    capabilities: { streaming: true, deviceSelection: true, deviceListing: true },
+    devices: alsaDevices,
+    args: (device) => ['-q', ...(device ? ['-D', device] : []), '-t', 'raw', '-f', 'S16_LE', '-r', String(SAMPLE_RATE), '-c', '1']
+  },
+  parec: {
+    command: 'parec',
+    platforms: ['linux'],
+    description: 'PulseAudio',
+    install: { linux: 'sudo apt install pulseaudio-utils' },
+    capabilities: { streaming: true, deviceSelection: true, deviceListing: true },
+    devices: pulseDevices,
+    args: (device) => [...(device ? [`--device=${device}`] : []), '--raw', '--format=s16le', `--rate=${SAMPLE_RATE}`, '--channels=1']
+  },
+  'pw-record': {
+    command: 'pw-record',
+    platforms: ['linux'],
+    description: 'PipeWire',
+    install: { linux: 'sudo apt install pipewire-bin' },
+    capabilities: { streaming: true, deviceSelection: true, deviceListing: true },
+    devices: pipewireDevices,
+    args: (device) => [...(device ? ['--target', device] : []), '--rate', String(SAMPLE_RATE), '--channels', '1', '--format', 's16', '-']
+  }
+};
+
+const BACKEND_NAMES = Object.keys(BACKENDS);
+
+// Preferred order when recorder.backend is "auto" (first entry keeps the old default)
+const AUTO_ORDER = {
+  darwin: ['sox', 'ffmpeg'],
+  linux: ['arecord', 'parec', 'pw-record', 'sox', 'ffmpeg']
+};
+
+class RecorderError extends Error {
+  constructor(message, hint) {
+    super(message);
+    this.name = 'RecorderError';
+    this.hint = hint || null;
+  }
+}
+
+// Look the command up on PATH without going through a shell
+function commandExists(command) {
+  const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+  return dirs.some((dir) => {
+    try {
+      fs.accessSync(path.join(dir, command), fs.constants.X_OK);
+      return true;
+    } catch {
+      return false;
+    }
+  });
+}
+
+function installHint(name) {
+  const install = BACKENDS[name].install[process.platform];
+  return install ? `Install with: ${install}` : null;
+}
+
+// Everything we know about each backend on this machine
+function describeBackends() {
+  return BACKEND_NAMES.map((name) => {
+    const backend = BACKENDS[name];
+    const supported = backend.platforms.includes(process.platform);
+    return {
+      name,
+      description: backend.description,
+      supported,
+      available: supported && commandExists(backend.command),
+      capabilities: backend.capabilities,
+      install: backend.install[process.platform] || null
+    };
+  });
+}
+
+function selectBackend(preferred = 'auto') {
+  if (preferred !== 'auto') {
+    const backend = BACKENDS[preferred];
+    if (!backend) {
+      throw new RecorderError(`Unknown recorder backend: ${preferred}`, `Choose one of: auto, ${BACKEND_NAMES.join(', ')}`);
+    }
+    if (!backend.platforms.includes(process.platform)) {
+      throw new RecorderError(`${preferred} is not supported on ${process.platform}`);
+    }
+    if (!commandExists(backend.command)) {
+      throw new RecorderError(`${backend.command} not found`, installHint(preferred));
+    }
+    return preferred;
+  }
+
+  const candidates = AUTO_ORDER[process.platform] || [];
+  const found = candidates.find((name) => commandExists(BACKENDS[name].command));
+  if (!found) {
+    const hint = candidates.length > 0 ? installHint(candidates[0]) : null;
+    throw new RecorderError('No audio recorder found', hint);
+  }
+  return found;
+}
+
+// Input devices the backend can record from, as [{ id, name }]
+function listDevices(backendName) {
+  return BACKENDS[backendName].devices();
+}
+
+// Map a device given as an index from `vox devices`, an id or (part of) a name
+// to the id the backend understands. null means the system default input.
+function resolveDevice(backendName, wanted) {
+  if (wanted === null || wanted === undefined || wanted === '') {
+    return null;
+  }
+  const text = String(wanted);
+  let devices;
+  try {
+    devices = listDevices(backendName);
+  } catch (error) {
+    // Without a way to list devices, hand the name to the backend as given
+    if (error.code === 'ENOLIST') {
+      return text;
+    }
+    throw error;
+  }
+  const lower = text.toLowerCase();
+  const partial = devices.filter((device) => device.name.toLowerCase().includes(lower));
+
+  const found = devices.find((device) => device.id === text)
+    || (/^\d+$/.test(text) ? devices[Number(text)] : undefined)
+    || devices.find((device) => device.name.toLowerCase() === lower)
+    || (partial.length === 1 ? partial[0] : undefined);
+
+  if (!found) {
+    throw new RecorderError(
+      `Input device "${text}" not found for ${backendName}${partial.length > 1 ? ` (matches ${partial.length} devices)` : ''}`,
+      'Run "vox devices" to see what\'s connected, or "vox config unset recorder.device" to use the default input'
+    );
+  }
+  return found.id;
+}
+
+// Records from one backend into a WAV file.
+// Events: 'data' (PCM Buffer), 'level' ({ rms, peak, rmsDb, peakDb, duration } per chunk),
+// 'error' (RecorderError), 'end' (summary)
+class Recorder extends EventEmitter {
+  constructor({ backend = 'auto', device = null, file, maxDuration = null } = {}) {
+    super();
+    this.backendName = selectBackend(backend);
+    this.backend = BACKENDS[this.backendName];
+    this.device = resolveDevice(this.backendName, device);
+    this.file = file;
+    this.maxDuration = maxDuration;
+    this.process = null;
+    this.writer = null;
+    this.bytes = 0;
+    // Odd byte held back from the last chunk (half a sample)
+    this.leftover = null;
+    this.peak = 0;
+    this.heardInput = false;
+    this.stderr = '';
+    this.stopping = false;
+    this.finished = null;
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.writer = new WavWriter(this.file);
+      this.process = spawn(this.backend.command, this.backend.args(this.device), {
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+
+      this.finished = new Promise((done) => {
+        this.process.on('close', (code, signal) => {
+          this.writer.close();
+          const summary = this.summary();
+
+          // Exiting on its own (not via stop) before any audio arrived is a failure
+          if (!this.stopping && code !== 0 && this.bytes === 0) {
+            const detail = this.stderr.trim().split('\n').pop();
+            this.emit('error', new RecorderError(
+              `${this.backendName} exited with ${signal || `code ${code}`}${detail ? `: ${detail}` : ''}`
+            ));
+          }
+
+          this.emit('end', summary);
+          done(summary);
+        });
+      });
+
+      this.process.stdout.on('data', (data) => {
+        // A pipe can split a 16-bit sample between two reads; pass on whole
+        // samples only, or every level reading after that would be misaligned
+        const pending = this.leftover ? Buffer.concat([this.leftover, data]) : data;
+        const whole = pending.length - (pending.length % 2);
+        this.leftover = whole < pending.length ? pending.subarray(whole) : null;
+        const samples = pending.subarray(0, whole);
+
+        // Never keep more than maxDuration, even if the backend is slow to exit
+        const chunk = this.maxDuration ? samples.subarray(0, Math.max(0, this.maxBytes() - this.bytes)) : samples;
+        if (chunk.length === 0) {
+          return;
+        }
+        this.writer.write(chunk);
+        this.bytes += chunk.length;
+        this.emit('data', chunk);
+
+        const levels = { ...measureLevels(chunk), duration: pcmDuration(chunk.length) };
+        this.peak = Math.max(this.peak, levels.peak);
+        this.heardInput = this.heardInput || isAudible(levels);
+        this.emit('level', levels);
+
+        if (this.maxDuration && this.duration() >= this.maxDuration) {
+          this.stop();
+        }
+      });
+
+      this.process.stderr.on('data', (chunk) => {
+        // Keep only the tail for error messages
+        this.stderr = (this.stderr + chunk.toString()).slice(-2000);
+      });
+
+      this.process.once('spawn', () => resolve(this));
+      this.process.once('error', (error) => {
+        // Reported through the rejection; 'close' still follows but must not emit again
+        this.stopping = true;
+        reject(new RecorderError(`Could not start ${this.backendName}: ${error.message}`, installHint(this.backendName)));
+      });
+    });
+  }
+
+  maxBytes() {
+    // Whole 16-bit samples only
+    return Math.floor(this.maxDuration * SAMPLE_RATE) * 2;
+  }
+
+  duration() {
+    return pcmDuration(this.bytes);
+  }
+
+  summary() {
+    return {
+      backend: this.backendName,
+      device: this.device,
+      file: this.file,
+      bytes: this.bytes,
+      duration: this.duration(),
+      peakDb: toDb(this.peak),
+      heardInput: this.heardInput
+    };
+  }
+
+  // Resolves once the backend has exited and the WAV header is final
+  async stop() {
+    if (!this.process) {
+      return this.summary();
+    }
+    if (!this.stopping) {
+      this.stopping = true;
+      if (this.process.exitCode === null && this.process.signalCode === null) {
+        this.process.kill('SIGTERM');
+      }
+    }
+    return this.finished;
+  }
+}
+
+module.exports = {
+  BACKENDS,
+  BACKEND_NAMES,
+  Recorder,
+  RecorderError,
+  describeBackends,
+  selectBackend,
+  listDevices,
+  resolveDevice,
+  commandExists
+};
@@ -0,0 +1,207 @@
+// Text rules applied to every transcript, in this order:
+//   1. replacements from config (rules.replacements): literal or regex
+//   2. spoken punctuation: "new line", "comma", "open paren", ...
+//   3. casing commands: "camel case foo bar" -> fooBar
+// Whisper punctuates on its own, so punctuation it put around a spoken
+// command is dropped where the command replaces it.
+
+// Punctuation Whisper tends to add around spoken commands
+const STRAY = '[,.;:!?]*';
+
+// Attach to the previous word: "hello comma world" -> "hello, world"
+const CLOSING = [
+  [['comma'], ','],
+  [['full stop'], '.'],
+  [['question mark'], '?'],
+  [['exclamation mark', 'exclamation point'], '!'],
+  // Before "colon", which would otherwise turn "semi colon" into "semi:"
+  [['semicolon', 'semi colon'], ';'],
+  [['colon'], ':'],
+  [['close paren', 'close parenthesis', 'close bracket'], ')'],
+  [['close square bracket'], ']'],
+  [['close brace', 'close curly brace'], '}'],
+  [['close quote', 'end quote'], '"']
+];
+
+// Attach to the next word: "call open paren x" -> "call (x"
+const OPENING = [
+  [['open paren', 'open parenthesis', 'open bracket'], '('],
+  [['open square bracket'], '['],
+  [['open brace', 'open curly brace'], '{'],
+  [['open quote'], '"']
+];
+
+// Replace the surrounding spaces (any punctuation before them is kept)
+const BREAKS = [
+  [['new paragraph'], '\n\n'],
+  [['new line', 'newline'], '\n']
+];
+
+// "<style> case" applies to the words up to the next punctuation or line break,
+// or up to a spoken "end case". Only names that don't occur in ordinary speech.
+const CASINGS = {
+  camel: (words) => words.map((word, index) => (index === 0 ? word : capitalize(word))).join(''),
+  pascal: (words) => words.map(capitalize).join(''),
+  snake: (words) => words.join('_'),
+  kebab: (words) => words.join('-'),
+  constant: (words) => words.join('_').toUpperCase()
+};
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "open paren" also matches "Open-paren" and "open  paren"
+function phrasePattern(phrases) {
+  return phrases.map((phrase) => phrase.split(' ').map(escapeRegex).join('[\\s-]+')).join('|');
+}
+
+// RegExp for a rules.replacements entry: { from, to } (literal, whole words,
+// case-insensitive) or { pattern, flags, to } (JavaScript regex)
+function replacementRegex(rule) {
+  if (typeof rule.pattern === 'string') {
+    return new RegExp(rule.pattern, rule.flags === undefined ? 'g' : rule.flags);
+  }
+  const start = /^\w/.test(rule.from) ? '\\b' : '';
+  const end = /\w$/.test(rule.from) ? '\\b' : '';
+  return new RegExp(`${start}${escapeRegex(rule.from)}${end}`, 'gi');
+}
+
+function applyReplacements(text, replacements) {
+  return replacements.reduce((result, rule) => result.replace(replacementRegex(rule), rule.to), text);
+}
+
+// Every command, longest phrase first, keyed by its normalized phrase
+const COMMANDS = new Map([
+  ...BREAKS.map(([phrases, symbol]) => [phrases, { kind: 'break', symbol }]),
+  ...CLOSING.map(([phrases, symbol]) => [phrases, { kind: 'closing', symbol }]),
+  ...OPENING.map(([phrases, symbol]) => [phrases, { kind: 'opening', symbol }])
+].flatMap(([phrases, command]) => phrases.map((phrase) => [phrase, command])));
+
+// Longest first, so "close square bracket" wins over "close bracket"
+function commandPhrases(kinds) {
+  const phrases = [...COMMANDS.keys()].filter((phrase) => kinds.includes(COMMANDS.get(phrase).kind));
+  return phrasePattern(phrases.sort((a, b) => b.length - a.length));
+}
+
+// All commands in a single pass, so only punctuation that was in the transcript
+// (Whisper's) is dropped, never a symbol an earlier command produced. Captures:
+// space and punctuation before the command, the command, punctuation after it,
+// and the space after it - left alone when a command that takes the space
+// before it (a break or closing symbol) comes next.
+const SPOKEN_PATTERN = new RegExp(
+  `(\\s*)(${STRAY})(\\s*)\\b(${commandPhrases(['break', 'closing', 'opening'])})\\b(${STRAY})` +
+  `((?:\\s+(?![\\s,.;:!?]*\\b(?:${commandPhrases(['break', 'closing'])})\\b))?)`,
+  'gi'
+);
+
+function applySpokenPunctuation(text) {
+  return text.replace(SPOKEN_PATTERN, (match, spaceBefore, strayBefore, spaceAfterStray, phrase, strayAfter, spaceAfter) => {
+    const { kind, symbol } = COMMANDS.get(phrase.toLowerCase().split(/[\s-]+/).join(' '));
+    switch (kind) {
+      // Replaces the surrounding spaces (any punctuation before them is kept)
+      case 'break':
+        return `${(spaceBefore + strayBefore + spaceAfterStray).replace(/[ \t]+$/, '')}${symbol}${spaceAfter.replace(/^[ \t]+/, '')}`;
+      // Attaches to the previous word, in place of its punctuation
+      case 'closing':
+        return `${symbol}${spaceAfter}`;
+      // Attaches to the next word
+      default:
+        return `${spaceBefore}${strayBefore}${spaceAfterStray}${symbol}`;
+    }
+  });
+}
+
+function applyCasing(text) {
+  const styles = Object.keys(CASINGS).join('|');
+  const pattern = new RegExp(`\\b(${styles})[\\s-]*case\\b${STRAY}\\s*([^\\n,.;:!?()\\[\\]{}"]*?)\\s*(?:\\bend[\\s-]+case\\b${STRAY}|(?=[\\n,.;:!?()\\[\\]{}"])|$)`, 'gi');
+  return text.replace(pattern, (match, style, phrase) => {
+    const words = phrase.toLowerCase().split(/[\s-]+/).map((word) => word.replace(/[^\p{L}\p{N}]/gu, '')).filter(Boolean);
+    return words.length > 0 ? CASINGS[style.toLowerCase()](words) : match;
+  });
+}
+
+// Every stage's output, for `vox rules test`
+function applyRulesVerbose(text, rules) {
+  const steps = [];
+  let result = text;
+  if (rules.replacements.length > 0) {
+    result = applyReplacements(result, rules.replacements);
+    steps.push({ stage: 'replacements', text: result });
+  }
+  if (rules.spokenPunctuation) {
+    result = applySpokenPunctuation(result);
+    steps.push({ stage: 'spoken punctuation', text: result });
+  }
+  if (rules.casing) {
+    result = applyCasing(result);
+    steps.push({ stage: 'casing', text: result });
+  }
+  // "new paragraph" at the very start or end shouldn't leave blank lines
+  return { text: result.trim(), steps };
+}
+
+function applyRules(text, rules) {
+  return rules.enabled ? applyRulesVerbose(text, rules).text : text;
+}
+
+// The whole transcript, and each segment for subtitle/JSON output
+// (words keep Whisper's raw text, as their timings belong to it). Segments stay
+// on one line: a blank line from "new paragraph" would end an SRT/VTT cue early.
+function applyRulesToResult(result, rules) {
+  if (!rules.enabled) {
+    return result;
+  }
+  return {
+    ...result,
+    text: applyRules(result.text, rules),
+    segments: (result.segments || []).map((segment) => ({
+      ...segment,
+      text: applyRules(segment.text, rules).replace(/[ \t]*\n+[ \t]*/g, ' ')
+    }))
+  };
+}
+
+// Problems with rules.replacements, for validateConfig
+function validateReplacements(replacements) {
+  if (!Array.isArray(replacements)) {
+    return ['rules.replacements must be a list of { "from", "to" } or { "pattern", "to" } rules'];
+  }
+  const errors = [];
+  replacements.forEach((rule, index) => {
+    const label = `rules.replacements[${index}]`;
+    if (!rule || typeof rule.to !== 'string' || (typeof rule.from !== 'string' && typeof rule.pattern !== 'string')) {
+      errors.push(`${label} needs "to" and either "from" or "pattern"`);
+      return;
+    }
+    if (typeof rule.from === 'string' && !rule.from) {
+      errors.push(`${label}.from must not be empty`);
+    }
+    try {
+      replacementRegex(rule);
+    } catch (error) {
+      errors.push(`${label}: ${error.message}`);
+    }
+  });
+  return errors;
+}
+
+// Spoken commands, for `vox rules list`
+function describeCommands() {
+  return {
+    punctuation: [...BREAKS, ...CLOSING, ...OPENING].map(([phrases, symbol]) => ({ phrases, symbol })),
+    casing: Object.keys(CASINGS).map((style) => `${style} case`)
+  };
+}
+
+module.exports = {
+  applyRules,
+  applyRulesVerbose,
+  applyRulesToResult,
+  validateReplacements,
+  describeCommands
+};
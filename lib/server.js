@@ -0,0 +1,261 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { CONFIG_DIR, LIB_DIR, ensureConfigDir, pythonCommand } = require('./paths');
+const { loadConfig } = require('./config');
+
+// Daemon bookkeeping lives next to the installation log
+const PID_FILE = path.join(CONFIG_DIR, 'server.pid');
+const LOG_FILE = path.join(CONFIG_DIR, 'server.log');
+// Any local user can reach the port, so each request carries a secret made fresh
+// on every start; only the owner can read it (0600)
+const TOKEN_FILE = path.join(CONFIG_DIR, 'server.token');
+const TOKEN_HEADER = 'X-Vox-Token';
+const SERVER_SCRIPT = path.join(LIB_DIR, 'server.py');
+
+const HOST = '127.0.0.1';
+
+// Model loading can take a while on first start (download + init)
+const START_TIMEOUT = 120000;
+
+// KOSHI_VOX_PORT wins over server.port in config.json
+function serverPort() {
+  return parseInt(process.env.KOSHI_VOX_PORT, 10) || loadConfig().server.port;
+}
+
+function readPid() {
+  try {
+    const pid = parseInt(fs.readFileSync(PID_FILE, 'utf-8').trim(), 10);
+    return Number.isInteger(pid) ? pid : null;
+  } catch {
+    return null;
+  }
+}
+
+function readToken() {
+  try {
+    return fs.readFileSync(TOKEN_FILE, 'utf-8').trim();
+  } catch {
+    return null;
+  }
+}
+
+function writeToken() {
+  const token = crypto.randomBytes(32).toString('hex');
+  // Recreated rather than overwritten, so the mode is always 0600
+  fs.rmSync(TOKEN_FILE, { force: true });
+  fs.writeFileSync(TOKEN_FILE, token, { mode: 0o600, flag: 'wx' });
+  return token;
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Minimal JSON-over-HTTP client for the local server
+function request(method, route, body, { timeout = 5000, contentType = 'application/json' } = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = body === undefined
+      ? null
+      : (Buffer.isBuffer(body) ? body : Buffer.from(JSON.stringify(body)));
+    const token = readToken();
+
+    const req = http.request({
+      host: HOST,
+      port: serverPort(),
+      path: route,
+      method,
+      headers: {
+        ...(token ? { [TOKEN_HEADER]: token } : {}),
+        ...(payload ? { 'Content-Type': contentType, 'Content-Length': payload.length } : {})
+      }
+    }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf-8');
+        let data = null;
+        try {
+          data = raw ? JSON.parse(raw) : null;
+        } catch {
+          data = { detail: raw };
+        }
+        resolve({ status: res.statusCode, data });
+      });
+    });
+
+    // null: wait as long as it takes (whole files can be long)
+    if (timeout) {
+      req.setTimeout(timeout, () => {
+        req.destroy(new Error(`Server did not respond within ${timeout}ms`));
+      });
+    }
+
+    req.on('error', (error) => {
+      // Connection refused means nothing is listening - callers fall back
+      if (error.code === 'ECONNREFUSED' || error.code === 'ECONNRESET') {
+        error.code = 'ENOSERVER';
+      }
+      reject(error);
+    });
+
+    if (payload) {
+      req.write(payload);
+    }
+    req.end();
+  });
+}
+
+async function health() {
+  try {
+    const { status, data } = await request('GET', '/health', undefined, { timeout: 1000 });
+    return status === 200 ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function serverStatus() {
+  const pid = readPid();
+  const alive = pid !== null && isProcessAlive(pid);
+  const info = await health();
+
+  // Drop stale pid files left behind by a crash or reboot
+  if (pid !== null && !alive) {
+    fs.rmSync(PID_FILE, { force: true });
+  }
+
+  return {
+    running: Boolean(info),
+    pid: info ? info.pid : (alive ? pid : null),
+    port: serverPort(),
+    model: info ? info.model : null,
+    logFile: LOG_FILE
+  };
+}
+
+async function startServer() {
+  const status = await serverStatus();
+  if (status.running) {
+    return { ...status, alreadyRunning: true };
+  }
+  if (status.pid) {
+    // Process exists but isn't answering yet - still loading the model
+    return waitForServer(status.pid);
+  }
+
+  ensureConfigDir();
+  const log = fs.openSync(LOG_FILE, 'a');
+
+  // In the environment rather than the arguments, which other users can see in ps
+  const child = spawn(pythonCommand(), [SERVER_SCRIPT, '--host', HOST, '--port', String(serverPort())], {
+    detached: true,
+    stdio: ['ignore', log, log],
+    env: { ...process.env, KOSHI_VOX_CONFIG: JSON.stringify(loadConfig()), KOSHI_VOX_TOKEN: writeToken() }
+  });
+  fs.closeSync(log);
+
+  fs.writeFileSync(PID_FILE, String(child.pid));
+  child.unref();
+
+  return waitForServer(child.pid);
+}
+
+async function waitForServer(pid) {
+  const deadline = Date.now() + START_TIMEOUT;
+
+  while (Date.now() < deadline) {
+    if (!isProcessAlive(pid)) {
+      fs.rmSync(PID_FILE, { force: true });
+      throw new Error(`Server exited during startup - see ${LOG_FILE}`);
+    }
+    const info = await health();
+    if (info) {
+      return { running: true, pid: info.pid, port: serverPort(), model: info.model, logFile: LOG_FILE };
+    }
+    await sleep(500);
+  }
+
+  throw new Error(`Server did not become ready within ${START_TIMEOUT / 1000}s - see ${LOG_FILE}`);
+}
+
+async function stopServer() {
+  const pid = readPid();
+  if (pid === null || !isProcessAlive(pid)) {
+    fs.rmSync(PID_FILE, { force: true });
+    fs.rmSync(TOKEN_FILE, { force: true });
+    return false;
+  }
+
+  process.kill(pid, 'SIGTERM');
+
+  // Give uvicorn a moment to shut down cleanly before forcing it
+  for (let i = 0; i < 20 && isProcessAlive(pid); i++) {
+    await sleep(250);
+  }
+  if (isProcessAlive(pid)) {
+    process.kill(pid, 'SIGKILL');
+  }
+
+  fs.rmSync(PID_FILE, { force: true });
+  fs.rmSync(TOKEN_FILE, { force: true });
+  return true;
+}
+
+function resultOrThrow({ status, data }) {
+  if (status === 200) {
+    return data;
+  }
+  const error = new Error((data && data.detail) || `Server returned ${status}`);
+  // 422 is a transcription problem with the audio itself (e.g. silence)
+  error.status = status;
+  // 401: the token doesn't match, e.g. another user's server on this port
+  if (status === 401) {
+    error.hint = 'Restart it with: vox server restart (or pick another port with KOSHI_VOX_PORT)';
+  }
+  throw error;
+}
+
+// Transcribe a recording the server can read directly from disk.
+// The current config travels with each request so edits apply without a restart.
+// No timeout: a recording can be up to recorder.maxSeconds long, and a large
+// model on a CPU can take longer than that to transcribe it.
+async function transcribeFile(file, config = loadConfig()) {
+  const response = await request('POST', '/transcribe', { path: path.resolve(file), config }, { timeout: null });
+  return resultOrThrow(response);
+}
+
+// Transcribe raw audio bytes (for callers without a shared filesystem path, and
+// for files outside /tmp). format is the file extension: wav, mp3, m4a, flac, ogg.
+async function transcribeUpload(buffer, config = loadConfig(), { format = 'wav', timeout = 300000 } = {}) {
+  // The config goes first in the body as one line of JSON (JSON.stringify
+  // never emits a raw newline), the audio right after it
+  const body = Buffer.concat([Buffer.from(`${JSON.stringify(config)}\n`), buffer]);
+  const response = await request('POST', `/transcribe/upload?format=${encodeURIComponent(format)}`, body, {
+    timeout,
+    contentType: 'application/octet-stream'
+  });
+  return resultOrThrow(response);
+}
+
+module.exports = {
+  PID_FILE,
+  LOG_FILE,
+  TOKEN_FILE,
+  serverStatus,
+  startServer,
+  stopServer,
+  transcribeFile,
+  transcribeUpload
+};
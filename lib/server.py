@@ -0,0 +1,131 @@
+"""Koshi-Vox transcription server - keeps the Whisper model warm between dictations
+
+Started and stopped by `vox server`, which owns the pid, token and log files.
+Only listens on localhost, and only answers requests that carry the token.
+"""
+import argparse
+import json
+import os
+import secrets
+import sys
+import tempfile
+import threading
+
+sys.path.insert(0, os.path.dirname(os.path.abspath(__file__)))
+
+import uvicorn
+from fastapi import FastAPI, HTTPException, Request
+from fastapi.concurrency import run_in_threadpool
+from fastapi.responses import JSONResponse
+from pydantic import BaseModel
+
+from transcriber import (
+    SUPPORTED_EXTENSIONS, TranscriptionError, is_temp_path, load_audio, load_config, load_model,
+    model_key, model_options, transcribe_audio
+)
+
+app = FastAPI(title="koshi-vox")
+state = {"model": None, "key": None, "config": {}}
+
+# faster-whisper is not safe to call concurrently on one model
+model_lock = threading.Lock()
+
+# Made by `vox server start` (server.token, 0600): any local user can reach the
+# port, but only the owner can read the token, and so our recordings in /tmp
+TOKEN = os.environ.pop("KOSHI_VOX_TOKEN", "")
+
+
+class TranscribeRequest(BaseModel):
+    path: str
+    config: dict = {}
+
+
+def ensure_model(config):
+    # Reload when config.json changed model settings since startup
+    key = model_key(config)
+    if state["model"] is None or state["key"] != key:
+        print(f"Loading Whisper model: {key[0]}", flush=True)
+        state["model"] = load_model(config)
+        state["key"] = key
+        state["config"] = config
+    return state["model"]
+
+
+def run_transcription(path, config=None):
+    config = config or state["config"]
+    try:
+        audio, sr = load_audio(path)
+        with model_lock:
+            return transcribe_audio(ensure_model(config), audio, config, sr)
+    except TranscriptionError as e:
+        raise HTTPException(status_code=422, detail=str(e))
+    except Exception as e:
+        raise HTTPException(status_code=500, detail=str(e))
+
+
+@app.middleware("http")
+async def require_token(request: Request, call_next):
+    if not secrets.compare_digest(request.headers.get("x-vox-token", ""), TOKEN):
+        return JSONResponse(status_code=401, content={"detail": "Missing or wrong server token"})
+    return await call_next(request)
+
+
+@app.get("/health")
+def health():
+    return {"status": "ok", "pid": os.getpid(), "model": model_options(state["config"])["size"]}
+
+
+@app.post("/transcribe")
+def transcribe(req: TranscribeRequest):
+    # Only recordings in /tmp: even with the token, it must not read arbitrary
+    # files on a client's behalf. Other files come in through /transcribe/upload.
+    if not is_temp_path(req.path) or not os.path.isfile(req.path):
+        raise HTTPException(status_code=400, detail="Invalid audio file path")
+    return run_transcription(req.path, req.config)
+
+
+@app.post("/transcribe/upload")
+async def transcribe_upload(request: Request, format: str = "wav"):
+    # The decoder goes by the file extension
+    suffix = "." + format.lower()
+    if suffix not in SUPPORTED_EXTENSIONS:
+        raise HTTPException(status_code=400, detail=f"Unsupported audio format: {format}")
+
+    # Body: the config as one line of JSON, then the raw audio bytes. A query
+    # parameter would run into the URL length limit once vocabulary is in it.
+    header, _, audio = (await request.body()).partition(b"\n")
+    if not audio:
+        raise HTTPException(status_code=400, detail="Empty upload")
+    try:
+        upload_config = json.loads(header) if header.strip() else None
+    except ValueError:
+        raise HTTPException(status_code=400, detail="Invalid config in upload")
+
+    fd, path = tempfile.mkstemp(prefix="vox_upload_", suffix=suffix)
+    try:
+        with os.fdopen(fd, "wb") as f:
+            f.write(audio)
+        # Transcription blocks for seconds; off the event loop, /health and
+        # other requests keep being answered meanwhile
+        return await run_in_threadpool(run_transcription, path, upload_config)
+    finally:
+        os.unlink(path)
+
+
+def main():
+    parser = argparse.ArgumentParser(description="Koshi-Vox transcription server")
+    parser.add_argument("--host", default="127.0.0.1")
+    parser.add_argument("--port", type=int, default=8765)
+    args = parser.parse_args()
+
+    if not TOKEN:
+        sys.exit("KOSHI_VOX_TOKEN is not set - start the server with: vox server start")
+
+    ensure_model(load_config())
+    print(f"Model ready, listening on {args.host}:{args.port}", flush=True)
+
+    uvicorn.run(app, host=args.host, port=args.port, log_level="warning")
+
+
+if __name__ == "__main__":
+    main()
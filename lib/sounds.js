@@ -0,0 +1,174 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { PACKAGE_DIR, CONFIG_DIR } = require('./paths');
+const { commandExists } = require('./recorder');
+
+// When a sound can play; each one is switched on under sounds.events
+const EVENTS = ['start', 'stop', 'success', 'error'];
+
+// Shipped with the package (sounds/ next to bin/ and lib/)
+const BUNDLED_DIR = path.join(PACKAGE_DIR, 'sounds');
+
+// User themes: sounds/<theme>/<event>.<ext>, e.g. sounds/soft/success.wav
+const USER_THEMES_DIR = path.join(CONFIG_DIR, 'sounds');
+const EXTENSIONS = ['.wav', '.mp3', '.aiff', '.aif', '.oga', '.ogg', '.flac', '.m4a'];
+
+// Stands in for a file: the terminal bell, when there's nothing else to play
+const BELL = 'bell';
+
+// macOS ships these, most Linux desktops the freedesktop sound theme
+const SYSTEM_SOUNDS = {
+  start: ['/System/Library/Sounds/Tink.aiff', '/usr/share/sounds/freedesktop/stereo/device-added.oga'],
+  stop: ['/System/Library/Sounds/Pop.aiff', '/usr/share/sounds/freedesktop/stereo/device-removed.oga'],
+  success: ['/System/Library/Sounds/Glass.aiff', '/usr/share/sounds/freedesktop/stereo/complete.oga'],
+  error: ['/System/Library/Sounds/Basso.aiff', '/usr/share/sounds/freedesktop/stereo/dialog-error.oga']
+};
+
+// Candidates per event, the first that exists is played
+const THEMES = {
+  // The bundled sounds, with the system's for the events they don't cover
+  koshi: {
+    start: [path.join(BUNDLED_DIR, 'koshi-vox_2.mp3')],
+    stop: SYSTEM_SOUNDS.stop,
+    success: [path.join(BUNDLED_DIR, 'koshi-vox.mp3')],
+    error: SYSTEM_SOUNDS.error
+  },
+  system: SYSTEM_SOUNDS,
+  bell: Object.fromEntries(EVENTS.map((event) => [event, [BELL]]))
+};
+
+const THEME_NAMES = Object.keys(THEMES);
+
+// Command-line players. `formats` limits what they can decode (null = anything);
+// volume is 0-1 and mapped onto each player's own scale.
+const PLAYERS = {
+  afplay: {
+    formats: null,
+    usable: () => process.platform === 'darwin' && commandExists('afplay'),
+    args: (file, volume) => ['-v', String(volume), file]
+  },
+  'pw-play': {
+    formats: ['.wav', '.oga', '.ogg', '.flac'],
+    usable: () => process.platform === 'linux' && commandExists('pw-play'),
+    args: (file, volume) => ['--volume', String(volume), file]
+  },
+  paplay: {
+    formats: ['.wav', '.oga', '.ogg', '.flac'],
+    usable: () => process.platform === 'linux' && commandExists('paplay'),
+    args: (file, volume) => [`--volume=${Math.round(volume * 65536)}`, file]
+  },
+  ffplay: {
+    formats: null,
+    usable: () => commandExists('ffplay'),
+    args: (file, volume) => ['-nodisp', '-autoexit', '-loglevel', 'quiet', '-volume', String(Math.round(volume * 100)), file]
+  },
+  mpg123: {
+    formats: ['.mp3'],
+    usable: () => commandExists('mpg123'),
+    args: (file, volume) => ['-q', '-f', String(Math.round(volume * 32768)), file]
+  },
+  // No volume control
+  aplay: {
+    formats: ['.wav'],
+    usable: () => process.platform === 'linux' && commandExists('aplay'),
+    args: (file) => ['-q', file]
+  }
+};
+
+const PLAYER_NAMES = Object.keys(PLAYERS);
+
+function expandHome(file) {
+  return file.startsWith('~/') ? path.join(os.homedir(), file.slice(2)) : file;
+}
+
+function listUserThemes() {
+  if (!fs.existsSync(USER_THEMES_DIR)) {
+    return [];
+  }
+  return fs.readdirSync(USER_THEMES_DIR, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name)
+    .sort();
+}
+
+// A user theme directory shadows a builtin theme of the same name
+function themeCandidates(name, event) {
+  const dir = path.join(USER_THEMES_DIR, name);
+  if (fs.existsSync(dir)) {
+    return EXTENSIONS.map((extension) => path.join(dir, `${event}${extension}`));
+  }
+  if (THEMES[name]) {
+    return THEMES[name][event];
+  }
+  const error = new Error(`No sound theme named "${name}" (sounds.theme)`);
+  error.hint = `Available: ${[...THEME_NAMES, ...listUserThemes()].join(', ')} (or create ${dir})`;
+  throw error;
+}
+
+// The sound for `event`: { file, source, missing }. source is "file" (sounds.files)
+// or "theme"; file is null when neither has one. A sounds.files entry that doesn't
+// exist falls back to the theme, with `missing` set to that path.
+function resolveSound(event, settings) {
+  const own = settings.files[event] ? expandHome(settings.files[event]) : null;
+  if (own && fs.existsSync(own)) {
+    return { file: own, source: 'file', missing: null };
+  }
+  const file = themeCandidates(settings.theme, event).find((candidate) => candidate === BELL || fs.existsSync(candidate));
+  return { file: file || null, source: 'theme', missing: own };
+}
+
+function selectPlayer(file) {
+  const extension = path.extname(file).toLowerCase();
+  return PLAYER_NAMES.find((name) => {
+    const player = PLAYERS[name];
+    return (!player.formats || player.formats.includes(extension)) && player.usable();
+  }) || null;
+}
+
+// Straight to the terminal, as stdout and stderr may be captured or discarded
+function ringBell() {
+  try {
+    fs.writeFileSync('/dev/tty', '\x07');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Plays the sound for `event` in the background unless muted or the event is off.
+// Without a player for the file, rings the terminal bell instead. Returns what
+// was played ({ file, player }), or null.
+function playSound(event, settings) {
+  if (settings.muted || !settings.events[event]) {
+    return null;
+  }
+  const sound = resolveSound(event, settings);
+  if (!sound.file) {
+    return null;
+  }
+  const player = sound.file === BELL ? null : selectPlayer(sound.file);
+  if (!player) {
+    return ringBell() ? { file: sound.file, player: BELL } : null;
+  }
+  // Detached, so the sound doesn't hold up vox or get cut off when it exits
+  const child = spawn(player, PLAYERS[player].args(sound.file, settings.volume), { detached: true, stdio: 'ignore' });
+  child.on('error', () => {});
+  child.unref();
+  return { file: sound.file, player };
+}
+
+module.exports = {
+  EVENTS,
+  THEMES,
+  THEME_NAMES,
+  PLAYERS,
+  BELL,
+  BUNDLED_DIR,
+  USER_THEMES_DIR,
+  listUserThemes,
+  resolveSound,
+  selectPlayer,
+  playSound
+};
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { CONFIG_DIR, ensureConfigDir } = require('./paths');
+
+// One file per template: templates/<name>.md
+const TEMPLATES_DIR = path.join(CONFIG_DIR, 'templates');
+const TEMPLATE_EXTENSION = '.md';
+
+// A context file larger than this would crowd out the prompt itself
+const MAX_FILE_BYTES = 100 * 1024;
+
+// Written to TEMPLATES_DIR the first time it's needed; edit or delete them freely.
+// {{name}} is replaced by a value, {{#name}}...{{/name}} is dropped when it's empty.
+const DEFAULT_TEMPLATES = {
+  bugfix: 'Fix the following bug.\n\n'
+    + '{{transcript}}'
+    + '{{#branch}}\n\nBranch: {{branch}}{{/branch}}'
+    + '{{#file}}\n\nRelevant file `{{file_path}}`:\n```\n{{file}}\n```{{/file}}'
+    + '\n\nFind the root cause before changing anything, keep the fix minimal and add a test that fails without it.\n',
+  refactor: 'Refactor the following without changing its behavior.\n\n'
+    + '{{transcript}}'
+    + '{{#file}}\n\nCode in `{{file_path}}`:\n```\n{{file}}\n```{{/file}}'
+    + '\n\nKeep the public interface as it is and make sure the existing tests still pass.\n',
+  review: 'Review the following{{#branch}} on branch `{{branch}}`{{/branch}}.\n\n'
+    + '{{transcript}}'
+    + '{{#file}}\n\n`{{file_path}}`:\n```\n{{file}}\n```{{/file}}'
+    + '\n\nPoint out bugs, unclear code and missing tests, most important first. Don\'t change any code yet.\n'
+};
+
+// Template names double as file names, so no paths
+function templateFile(name) {
+  if (!/^[\w-]+$/.test(name)) {
+    throw new Error(`Invalid template name: ${name} (letters, digits, - and _ only)`);
+  }
+  return path.join(TEMPLATES_DIR, `${name}${TEMPLATE_EXTENSION}`);
+}
+
+// Creates the directory with the default templates once; templates deleted
+// later stay deleted
+function ensureTemplatesDir() {
+  if (!fs.existsSync(TEMPLATES_DIR)) {
+    ensureConfigDir();
+    fs.mkdirSync(TEMPLATES_DIR);
+    for (const [name, body] of Object.entries(DEFAULT_TEMPLATES)) {
+      fs.writeFileSync(templateFile(name), body);
+    }
+  }
+  return TEMPLATES_DIR;
+}
+
+function listTemplates() {
+  ensureTemplatesDir();
+  return fs.readdirSync(TEMPLATES_DIR)
+    .filter((file) => file.endsWith(TEMPLATE_EXTENSION))
+    .map((file) => path.basename(file, TEMPLATE_EXTENSION))
+    .sort();
+}
+
+function loadTemplate(name) {
+  const file = templateFile(name);
+  ensureTemplatesDir();
+  if (!fs.existsSync(file)) {
+    const available = listTemplates();
+    const error = new Error(`No template named "${name}"`);
+    error.hint = available.length > 0
+      ? `Available: ${available.join(', ')} (or create ${file})`
+      : `Create ${file}`;
+    throw error;
+  }
+  return fs.readFileSync(file, 'utf-8');
+}
+
+// Current git branch of `cwd`, or '' outside a repository
+function gitBranch(cwd) {
+  const result = spawnSync('git', ['rev-parse', '--abbrev-ref', 'HEAD'], { cwd, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'], timeout: 5000 });
+  return result.error || result.status !== 0 ? '' : result.stdout.trim();
+}
+
+function readContextFile(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`No such file: ${file}`);
+  }
+  const stat = fs.statSync(file);
+  if (!stat.isFile()) {
+    throw new Error(`Not a file: ${file}`);
+  }
+  if (stat.size > MAX_FILE_BYTES) {
+    throw new Error(`${file} is too large for a prompt (${Math.round(stat.size / 1024)} KB, limit ${MAX_FILE_BYTES / 1024} KB)`);
+  }
+  return fs.readFileSync(file, 'utf-8').replace(/\n+$/, '');
+}
+
+// Values a template can use. `file` is optional: the path given after -t.
+function templateContext(transcript, { file = null, cwd = process.cwd() } = {}) {
+  const resolved = file ? path.resolve(cwd, file) : null;
+  return {
+    transcript,
+    cwd,
+    branch: gitBranch(cwd),
+    file: resolved ? readContextFile(resolved) : '',
+    file_path: resolved ? path.relative(cwd, resolved) : '',
+    date: new Date().toISOString().slice(0, 10)
+  };
+}
+
+// Sections first, so a {{value}} inside a dropped section is never looked at.
+// Unknown names are left alone rather than silently removed.
+function renderTemplate(body, context) {
+  const known = (name) => Object.prototype.hasOwnProperty.call(context, name);
+  return body
+    .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, name, section) => {
+      if (!known(name)) {
+        return match;
+      }
+      return context[name] ? section : '';
+    })
+    .replace(/\{\{(\w+)\}\}/g, (match, name) => (known(name) ? context[name] : match));
+}
+
+// First line of the template with every value left empty, for `vox templates list`
+function describeTemplate(name) {
+  const empty = { transcript: '', cwd: '', branch: '', file: '', file_path: '', date: '' };
+  return renderTemplate(loadTemplate(name), empty).split('\n').find((line) => line.trim()) || '';
+}
+
+// The transcript wrapped in template `name`
+function applyTemplate(name, transcript, options = {}) {
+  return renderTemplate(loadTemplate(name), templateContext(transcript, options)).trim();
+}
+
+module.exports = {
+  TEMPLATES_DIR,
+  DEFAULT_TEMPLATES,
+  templateFile,
+  ensureTemplatesDir,
+  listTemplates,
+  loadTemplate,
+  renderTemplate,
+  describeTemplate,
+  templateContext,
+  applyTemplate
+};
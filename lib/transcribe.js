@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+const { LIB_DIR, pythonCommand } = require('./paths');
+const server = require('./server');
+
+// Same list as SUPPORTED_EXTENSIONS in transcriber.py
+const AUDIO_FORMATS = ['wav', 'mp3', 'm4a', 'flac', 'ogg'];
+
+const TRANSCRIBER_SCRIPT = path.join(LIB_DIR, 'transcriber.py');
+
+// Only the end of Python's stderr is worth showing
+const STDERR_LIMIT = 4000;
+
+function audioFormat(file) {
+  return path.extname(file).slice(1).toLowerCase();
+}
+
+// What's wrong with a file before any model gets loaded for it, or null
+function checkAudioFile(file) {
+  if (!fs.existsSync(file)) {
+    return `No such file: ${file}`;
+  }
+  if (!fs.statSync(file).isFile()) {
+    return `Not a file: ${file}`;
+  }
+  if (!AUDIO_FORMATS.includes(audioFormat(file))) {
+    return `Unsupported file type: ${file} (use ${AUDIO_FORMATS.join(', ')})`;
+  }
+  return null;
+}
+
+function crashMessage(stderr, code) {
+  if (/ModuleNotFoundError|ImportError/.test(stderr)) {
+    return 'Missing dependencies - install with: pip install faster-whisper soundfile librosa';
+  }
+  const lines = stderr.trim().split('\n');
+  return lines[lines.length - 1] || `Python exited with code ${code}`;
+}
+
+// No server: one Python process for the whole batch, so the model loads once.
+// It prints a JSON line per file as it goes.
+async function* transcribeInProcess(files, config) {
+  const child = spawn(pythonCommand(), [TRANSCRIBER_SCRIPT, ...files], {
+    stdio: ['ignore', 'pipe', 'pipe'],
+    env: { ...process.env, KOSHI_VOX_CONFIG: JSON.stringify(config) }
+  });
+
+  let stderr = '';
+  child.stderr.on('data', (chunk) => {
+    stderr = (stderr + chunk).slice(-STDERR_LIMIT);
+  });
+  const exited = new Promise((resolve) => {
+    child.on('close', resolve);
+    child.on('error', (error) => {
+      stderr = `Could not run ${pythonCommand()}: ${error.message}`;
+      resolve(null);
+    });
+  });
+
+  const reported = new Set();
+  for await (const line of readline.createInterface({ input: child.stdout })) {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    reported.add(entry.file);
+    yield entry;
+  }
+
+  // Anything not reported was lost to a crash (usually missing dependencies)
+  const code = await exited;
+  for (const file of files.filter((name) => !reported.has(name))) {
+    yield { file, error: crashMessage(stderr, code) };
+  }
+}
+
+// Transcribe audio files one after another, yielding { file, result } or
+// { file, error } for each. Uses the warm server when it's running (uploading
+// the file, as the server only reads recordings in /tmp) and otherwise Python.
+async function* transcribeFiles(files, config) {
+  for (let i = 0; i < files.length; i++) {
+    const file = files[i];
+    try {
+      const result = await server.transcribeUpload(fs.readFileSync(file), config, {
+        format: audioFormat(file),
+        timeout: null
+      });
+      yield { file, result };
+    } catch (error) {
+      if (error.code === 'ENOSERVER') {
+        yield* transcribeInProcess(files.slice(i), config);
+        return;
+      }
+      yield { file, error: error.message };
+    }
+  }
+}
+
+module.exports = { AUDIO_FORMATS, checkAudioFile, transcribeFiles };
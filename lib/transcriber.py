@@ -0,0 +1,247 @@
+"""Shared faster-whisper helpers for bin/vox and the transcription server
+
+Settings come from ~/.config/koshi-vox/config.json, resolved by lib/config.js
+and passed in as JSON (KOSHI_VOX_CONFIG for subprocesses, the request body for
+the server).
+"""
+import inspect
+import json
+import os
+import sys
+import tempfile
+
+import numpy as np
+import soundfile as sf
+from faster_whisper import WhisperModel
+
+from preprocess import preprocess_audio
+
+
+class TranscriptionError(Exception):
+    pass
+
+
+# Whisper works on 16 kHz mono; everything else is converted on load
+SAMPLE_RATE = 16000
+
+# What `vox transcribe` accepts (MP3/M4A may need ffmpeg for librosa to decode)
+SUPPORTED_EXTENSIONS = (".wav", ".mp3", ".m4a", ".flac", ".ogg")
+
+
+# Long recordings are transcribed in pieces of about this length, cut at a
+# pause, so time and memory per model call stay bounded
+CHUNK_SECONDS = 120
+# How far back from a chunk boundary to look for a pause
+SPLIT_SEARCH_SECONDS = 10
+SPLIT_WINDOW_SECONDS = 0.25
+
+# faster-whisper's Silero VAD: drop silence, split speech at 300 ms pauses
+VAD_PARAMETERS = dict(min_silence_duration_ms=300)
+
+
+# Whisper only looks at the last ~224 prompt tokens; keep the glossary well inside that
+MAX_PROMPT_CHARS = 600
+
+
+# Fallbacks in case the config could not be passed through
+DEFAULT_MODEL = {
+    "size": "base",
+    "device": "cpu",
+    "computeType": "int8",
+    "cpuThreads": 8,
+    "beamSize": 1
+}
+
+
+def load_config():
+    raw = os.environ.get("KOSHI_VOX_CONFIG", "")
+    return json.loads(raw) if raw else {}
+
+
+def model_options(config):
+    return {**DEFAULT_MODEL, **(config or {}).get("model", {})}
+
+
+def model_key(config):
+    # Settings that require a new WhisperModel instance when they change
+    opts = model_options(config)
+    return (opts["size"], opts["device"], opts["computeType"], opts["cpuThreads"])
+
+
+def load_model(config):
+    # Quick model load (cached after first use)
+    opts = model_options(config)
+    return WhisperModel(
+        opts["size"],
+        device=opts["device"],
+        compute_type=opts["computeType"],
+        cpu_threads=opts["cpuThreads"]
+    )
+
+
+def is_temp_path(path):
+    # Recordings only ever live in the temp directory
+    real = os.path.realpath(path)
+    roots = {os.path.realpath("/tmp"), os.path.realpath(tempfile.gettempdir())}
+    return any(real.startswith(root + os.sep) for root in roots)
+
+
+def check_audio_path(path):
+    # Any readable audio file of a supported type (not only recordings in /tmp);
+    # returns the resolved path
+    real = os.path.realpath(path)
+    if not os.path.isfile(real):
+        raise TranscriptionError(f"No such file: {path}")
+    if os.path.splitext(real)[1].lower() not in SUPPORTED_EXTENSIONS:
+        raise TranscriptionError(f"Unsupported file type: {path} (use {', '.join(SUPPORTED_EXTENSIONS)})")
+    if not os.access(real, os.R_OK):
+        raise TranscriptionError(f"Cannot read {path}")
+    return real
+
+
+def load_audio(path):
+    try:
+        audio, sr = sf.read(path, dtype="float32", always_2d=True)
+        # Ensure audio is in the right shape (1D array)
+        audio = audio.mean(axis=1)
+    except RuntimeError:
+        # Formats libsndfile can't read (M4A, MP3 on older versions) go through
+        # librosa's audioread/ffmpeg fallback. librosa is slow to import, so
+        # it's only pulled in when needed.
+        import librosa
+        audio, sr = librosa.load(path, sr=SAMPLE_RATE, mono=True)
+
+    if sr != SAMPLE_RATE:
+        import librosa
+        audio = librosa.resample(audio, orig_sr=sr, target_sr=SAMPLE_RATE)
+
+    # Ensure audio is float32 for ONNX compatibility
+    return np.asarray(audio, dtype=np.float32), SAMPLE_RATE
+
+
+def vocabulary_options(model, config):
+    # Terms from the vocabulary files (resolved by lib/vocabulary.js) as a
+    # glossary-style initial prompt, and as hotwords where faster-whisper has them
+    vocabulary = (config or {}).get("vocabulary", {})
+    terms = vocabulary.get("terms") or []
+    if not terms:
+        return {}
+
+    glossary = ""
+    for term in terms:
+        candidate = f"{glossary}, {term}" if glossary else term
+        if len(candidate) > MAX_PROMPT_CHARS:
+            break
+        glossary = candidate
+
+    options = {"initial_prompt": f"Glossary: {glossary}."}
+    if vocabulary.get("hotwords", True) and "hotwords" in inspect.signature(model.transcribe).parameters:
+        options["hotwords"] = glossary
+    return options
+
+
+def split_point(audio, sr):
+    # Middle of the quietest short window near the end of the chunk
+    window = int(sr * SPLIT_WINDOW_SECONDS)
+    search_start = max(0, len(audio) - int(sr * SPLIT_SEARCH_SECONDS))
+    windows = (len(audio) - search_start) // window
+    if windows == 0:
+        return len(audio)
+
+    tail = audio[search_start:search_start + windows * window].reshape(windows, window)
+    quietest = int(np.argmin(np.mean(tail ** 2, axis=1)))
+    return search_start + quietest * window + window // 2
+
+
+def audio_chunks(audio, sr, chunk_seconds=CHUNK_SECONDS):
+    # Yields (offset in samples, chunk)
+    chunk = int(sr * chunk_seconds)
+    start = 0
+    while len(audio) - start > chunk:
+        end = start + split_point(audio[start:start + chunk], sr)
+        yield start, audio[start:end]
+        start = end
+    yield start, audio[start:]
+
+
+def transcribe_audio(model, audio, config, sr=SAMPLE_RATE):
+    # Check if audio has actual content
+    max_amplitude = np.max(np.abs(audio)) if len(audio) else 0.0
+    if max_amplitude < 1e-6:
+        raise TranscriptionError("Audio appears to be silence - check microphone permissions")
+
+    # High-pass, noise reduction, trimming and normalization (lib/preprocess.py);
+    # timestamps stay relative to the audio as it was recorded
+    duration = len(audio) / sr
+    audio, trimmed, preprocessing = preprocess_audio(audio, sr, config)
+
+    # "auto" lets faster-whisper detect the language from the first 30 seconds
+    language = (config or {}).get("language", "en")
+    translate = bool((config or {}).get("translate", False))
+    task = "translate" if translate else "transcribe"
+
+    # Translation always targets English, so an English source setting would
+    # just force the wrong language - detect the spoken one instead
+    if language == "auto" or (translate and language == "en"):
+        language = None
+
+    # Per-word start/end times for subtitles and --format json/tsv (slower)
+    word_timestamps = bool((config or {}).get("output", {}).get("wordTimestamps", False))
+
+    prompt = vocabulary_options(model, config)
+
+    segments_out = []
+    info = None
+    for offset, chunk in audio_chunks(audio, sr):
+        segments, chunk_info = model.transcribe(
+            chunk,
+            beam_size=model_options(config)["beamSize"],
+            # Later chunks reuse the language detected in the first one
+            language=language or (info.language if info else None),
+            task=task,
+            condition_on_previous_text=False,
+            vad_filter=True,
+            vad_parameters=VAD_PARAMETERS,
+            word_timestamps=word_timestamps,
+            **prompt
+        )
+        # Timestamps relative to the whole recording
+        start = (trimmed + offset) / sr
+        for s in segments:
+            segment = {"start": start + s.start, "end": start + s.end, "text": s.text.strip()}
+            if word_timestamps:
+                segment["words"] = [
+                    {"start": start + w.start, "end": start + w.end, "word": w.word.strip(), "probability": w.probability}
+                    for w in s.words or []
+                ]
+            segments_out.append(segment)
+        info = info or chunk_info
+
+    return {
+        "text": " ".join(s["text"] for s in segments_out if s["text"]),
+        "language": info.language,
+        "language_probability": info.language_probability,
+        "task": task,
+        "duration": duration,
+        "segments": segments_out,
+        "preprocessing": preprocessing
+    }
+
+
+def main(paths):
+    # In-process fallback for `vox transcribe` when the server isn't running:
+    # one JSON line per file, so the model is only loaded once for the batch
+    config = load_config()
+    model = None
+    for path in paths:
+        try:
+            audio, sr = load_audio(check_audio_path(path))
+            model = model or load_model(config)
+            line = {"file": path, "result": transcribe_audio(model, audio, config, sr)}
+        except Exception as e:
+            line = {"file": path, "error": str(e)}
+        print(json.dumps(line), flush=True)
+
+
+if __name__ == "__main__":
+    main(sys.argv[1:])
@@ -0,0 +1,48 @@
+// Terminal colors (same lime palette as bin/vox and the installer)
+const colors = {
+  lime: '\x1b[38;5;154m',
+  cyan: '\x1b[38;5;51m',
+  orange: '\x1b[38;5;208m',
+  pink: '\x1b[38;5;198m',
+  red: '\x1b[38;5;196m',
+  white: '\x1b[38;5;255m',
+  gray: '\x1b[38;5;240m',
+  reset: '\x1b[0m'
+};
+
+// Unicode symbols - using standard emojis that work everywhere
+const symbols = {
+  check: process.platform === 'win32' ? '[OK]' : '✓',
+  cross: process.platform === 'win32' ? '[X]' : '✗',
+  gear: process.platform === 'win32' ? '[CFG]' : '⚙️',
+  brain: process.platform === 'win32' ? '[AI]' : '👾',
+  mic: process.platform === 'win32' ? '[MIC]' : '🎤',
+  record: process.platform === 'win32' ? '[REC]' : '●',
+  warning: process.platform === 'win32' ? '[!]' : '⚠️'
+};
+
+// Call onKey(key) for each keypress (raw mode on a TTY, so no Enter needed).
+// Returns a function that restores the terminal.
+function onKeypress(onKey) {
+  const stdin = process.stdin;
+  const raw = Boolean(stdin.isTTY);
+
+  if (raw) {
+    stdin.setRawMode(true);
+  }
+  const handler = (data) => onKey(data.toString());
+  stdin.on('data', handler);
+  stdin.resume();
+
+  return () => {
+    stdin.removeListener('data', handler);
+    if (raw) {
+      stdin.setRawMode(false);
+    }
+    stdin.pause();
+  };
+}
+
+const CTRL_C = '\u0003';
+
+module.exports = { colors, symbols, onKeypress, CTRL_C };
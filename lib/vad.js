@@ -0,0 +1,55 @@
+const { NOISE_FLOOR_DB } = require('./levels');
+
+// Speech has to be this much louder than the room to count
+const SPEECH_MARGIN_DB = 12;
+
+// The noise estimate follows quieter audio immediately but creeps up slowly,
+// so a long sentence isn't mistaken for background noise
+const NOISE_RISE_DB_PER_SECOND = 1;
+
+// Energy-based voice activity check for hands-free recording.
+// feed() every level reading; it returns true once the speaker is done.
+// The upper limit is the recorder's own maxDuration.
+class SilenceDetector {
+  constructor({ silenceSeconds = 1.5, minSeconds = 1 } = {}) {
+    this.silenceSeconds = silenceSeconds;
+    this.minSeconds = minSeconds;
+    this.noiseDb = null;
+    this.elapsed = 0;
+    this.silence = 0;
+    this.speechStarted = false;
+  }
+
+  threshold() {
+    return Math.max(NOISE_FLOOR_DB, this.noiseDb) + SPEECH_MARGIN_DB;
+  }
+
+  // levels: { rmsDb, duration } for one chunk
+  feed(levels) {
+    this.elapsed += levels.duration;
+    const db = Number.isFinite(levels.rmsDb) ? levels.rmsDb : NOISE_FLOOR_DB;
+    // Nobody talks in the first few milliseconds: that's the room
+    if (this.noiseDb === null) {
+      this.noiseDb = db;
+    }
+    const speech = db > this.threshold();
+
+    if (db < this.noiseDb) {
+      this.noiseDb = db;
+    } else {
+      this.noiseDb = Math.min(db, this.noiseDb + NOISE_RISE_DB_PER_SECOND * levels.duration);
+    }
+
+    if (speech) {
+      this.speechStarted = true;
+      this.silence = 0;
+    } else {
+      this.silence += levels.duration;
+    }
+
+    // Never stop before the speaker has started, or before the minimum length
+    return this.speechStarted && this.elapsed >= this.minSeconds && this.silence >= this.silenceSeconds;
+  }
+}
+
+module.exports = { SilenceDetector, SPEECH_MARGIN_DB };
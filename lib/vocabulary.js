@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const { CONFIG_DIR, ensureConfigDir } = require('./paths');
+
+// One term per line; blank lines and "# comments" are ignored
+const USER_VOCABULARY_FILE = path.join(CONFIG_DIR, 'vocabulary.txt');
+
+// Per-project terms, found in the working directory or any directory above it
+const PROJECT_VOCABULARY_NAME = '.vox-vocabulary';
+
+function readTerms(file) {
+  if (!file || !fs.existsSync(file)) {
+    return [];
+  }
+  return fs.readFileSync(file, 'utf-8')
+    .split('\n')
+    .map((line) => line.replace(/(^|\s)#.*$/, '').trim())
+    .filter(Boolean);
+}
+
+// Nearest .vox-vocabulary from `cwd` upwards, or null
+function findProjectFile(cwd = process.cwd()) {
+  let dir = path.resolve(cwd);
+  for (;;) {
+    const candidate = path.join(dir, PROJECT_VOCABULARY_NAME);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+// Where `vox vocab --project` writes: the nearest existing file, else a new one in cwd
+function projectFile(cwd = process.cwd()) {
+  return findProjectFile(cwd) || path.join(path.resolve(cwd), PROJECT_VOCABULARY_NAME);
+}
+
+function sameTerm(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+// Project terms first (most specific), then the user's, without duplicates
+function loadVocabulary(cwd = process.cwd()) {
+  const project = findProjectFile(cwd);
+  const sources = [
+    { scope: 'project', file: project, terms: readTerms(project) },
+    { scope: 'user', file: USER_VOCABULARY_FILE, terms: readTerms(USER_VOCABULARY_FILE) }
+  ];
+  const terms = [];
+  for (const term of sources.flatMap((source) => source.terms)) {
+    if (!terms.some((known) => sameTerm(known, term))) {
+      terms.push(term);
+    }
+  }
+  return { terms, sources };
+}
+
+// Appends new terms, keeping the file's comments; returns the ones actually added
+function addTerms(file, newTerms) {
+  const existing = readTerms(file);
+  const added = [];
+  for (const term of newTerms.map((value) => value.trim()).filter(Boolean)) {
+    if (![...existing, ...added].some((known) => sameTerm(known, term))) {
+      added.push(term);
+    }
+  }
+  if (added.length > 0) {
+    if (file === USER_VOCABULARY_FILE) {
+      ensureConfigDir();
+    }
+    const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf-8') : '';
+    const separator = current && !current.endsWith('\n') ? '\n' : '';
+    fs.writeFileSync(file, `${current}${separator}${added.join('\n')}\n`);
+  }
+  return added;
+}
+
+// Drops matching lines (case-insensitive); returns the terms that were removed
+function removeTerms(file, oldTerms) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  const removed = [];
+  const lines = fs.readFileSync(file, 'utf-8').split('\n').filter((line) => {
+    const term = line.replace(/(^|\s)#.*$/, '').trim();
+    const match = term && oldTerms.find((old) => sameTerm(old, term));
+    if (match) {
+      removed.push(term);
+    }
+    return !match;
+  });
+  fs.writeFileSync(file, lines.join('\n'));
+  return removed;
+}
+
+// The effective config with the vocabulary terms for this directory added
+// (vocabulary.terms), which is what transcriber.py turns into a prompt
+function withVocabulary(config, cwd = process.cwd()) {
+  if (!config.vocabulary.enabled) {
+    return config;
+  }
+  return { ...config, vocabulary: { ...config.vocabulary, terms: loadVocabulary(cwd).terms } };
+}
+
+module.exports = {
+  USER_VOCABULARY_FILE,
+  PROJECT_VOCABULARY_NAME,
+  readTerms,
+  findProjectFile,
+  projectFile,
+  loadVocabulary,
+  addTerms,
+  removeTerms,
+  withVocabulary
+};
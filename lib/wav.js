@@ -0,0 +1,62 @@
+const fs = require('fs');
+
+// All recorder backends deliver 16 kHz mono signed 16-bit PCM
+const SAMPLE_RATE = 16000;
+const CHANNELS = 1;
+const BIT_DEPTH = 16;
+const HEADER_SIZE = 44;
+
+function wavHeader(dataLength, { sampleRate = SAMPLE_RATE, channels = CHANNELS, bitDepth = BIT_DEPTH } = {}) {
+  const blockAlign = channels * (bitDepth / 8);
+  const header = Buffer.alloc(HEADER_SIZE);
+
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + dataLength, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);            // PCM chunk size
+  header.writeUInt16LE(1, 20);             // PCM format
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitDepth, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(dataLength, 40);
+
+  return header;
+}
+
+// Streams PCM into a WAV file and patches the sizes in the header on close,
+// so a recording stopped at any point is still a valid file
+class WavWriter {
+  constructor(file, format = {}) {
+    this.file = file;
+    this.format = format;
+    this.dataLength = 0;
+    // Private from the start when the file is new (bin/vox passes one from mktemp)
+    this.fd = fs.openSync(file, 'w', 0o600);
+    fs.writeSync(this.fd, wavHeader(0, format));
+  }
+
+  write(chunk) {
+    fs.writeSync(this.fd, chunk);
+    this.dataLength += chunk.length;
+  }
+
+  close() {
+    if (this.fd === null) {
+      return;
+    }
+    fs.writeSync(this.fd, wavHeader(this.dataLength, this.format), 0, HEADER_SIZE, 0);
+    fs.closeSync(this.fd);
+    this.fd = null;
+  }
+}
+
+// Seconds of audio in a number of PCM bytes
+function pcmDuration(bytes, { sampleRate = SAMPLE_RATE, channels = CHANNELS, bitDepth = BIT_DEPTH } = {}) {
+  return bytes / (sampleRate * channels * (bitDepth / 8));
+}
+
+module.exports = { SAMPLE_RATE, CHANNELS, BIT_DEPTH, HEADER_SIZE, wavHeader, WavWriter, pcmDuration };
@@ -7,6 +7,7 @@ const { exec, execSync, spawn } = require('child_process');
 const os = require('os');
 const { promisify } = require('util');
 const execAsync = promisify(exec);
+const { CONFIG_PATH, MODEL_SIZES, ensureConfigFile, loadConfig } = require('../lib/config');
 
 // Terminal colors (cross-platform)
 const colors = {
@@ -489,15 +490,33 @@ async function setupVirtualEnvironment(pythonCmd) {
   }
 }
 
-// Download and cache Whisper base model
+// Download and cache the Whisper model chosen in config.json
 async function downloadWhisperModel(venvPython) {
   console.log('');
   console.log(`${colors.lime}╭─────────────────────────────────────────────────╮${colors.reset}`);
-  console.log(`${colors.lime}│${colors.reset}     ${colors.lime}DOWNLOADING WHISPER BASE MODEL${colors.reset}              ${colors.lime}│${colors.reset}`);
+  console.log(`${colors.lime}│${colors.reset}     ${colors.lime}DOWNLOADING WHISPER MODEL${colors.reset}                   ${colors.lime}│${colors.reset}`);
   console.log(`${colors.lime}╰─────────────────────────────────────────────────╯${colors.reset}`);
   console.log('');
   
-  console.log(`${colors.gray}Pre-downloading base model (~74MB) for instant voice recording...${colors.reset}`);
+  // Write a default config on first install so there is something to edit
+  if (ensureConfigFile()) {
+    console.log(`${colors.gray}Created config: ${CONFIG_PATH}${colors.reset}`);
+  }
+  
+  let config;
+  try {
+    config = loadConfig();
+  } catch (error) {
+    console.log(`${colors.pink}${symbols.warning} ${error.message}${colors.reset}`);
+    console.log(`${colors.gray}Model will download on first use instead${colors.reset}`);
+    return;
+  }
+  
+  const modelName = config.model.size;
+  const modelSize = MODEL_SIZES[modelName] || 'size unknown';
+  
+  console.log(`${colors.gray}Pre-downloading ${modelName} model (${modelSize}) for instant voice recording...${colors.reset}`);
+  console.log(`${colors.gray}Change it in ${CONFIG_PATH} and re-run the installer to switch${colors.reset}`);
   console.log('');
   
   // Create progress bar with ▰▱ blocks
@@ -520,14 +539,15 @@ async function downloadWhisperModel(venvPython) {
   }, 500);
   
   try {
-    // Python script to download the model
+    // Python script to download the model (same loader bin/vox uses)
     const downloadScript = `
 import sys
 import os
+sys.path.insert(0, os.environ["KOSHI_VOX_LIB"])
 try:
-    from faster_whisper import WhisperModel
-    print("Downloading Whisper base model...")
-    model = WhisperModel("base", device="cpu", compute_type="int8", cpu_threads=8)
+    from transcriber import load_config, load_model
+    print("Downloading Whisper model...")
+    model = load_model(load_config())
     print("Model downloaded and cached successfully!")
 except Exception as e:
     print(f"Error: {e}")
@@ -535,20 +555,27 @@ except Exception as e:
 `;
     
     // Execute the download  
-    await execAsync(`"${venvPython}" -c '${downloadScript}'`, { stdio: 'pipe' });
+    await execAsync(`"${venvPython}" -c '${downloadScript}'`, {
+      stdio: 'pipe',
+      env: {
+        ...process.env,
+        KOSHI_VOX_LIB: path.join(__dirname, '..', 'lib'),
+        KOSHI_VOX_CONFIG: JSON.stringify(config)
+      }
+    });
     
     // Complete progress
     clearInterval(progressInterval);
     updateProgress(100);
     console.log('');
     console.log('');
-    console.log(`${colors.lime}${symbols.check} Whisper base model downloaded and cached!${colors.reset}`);
+    console.log(`${colors.lime}${symbols.check} Whisper ${modelName} model downloaded and cached!${colors.reset}`);
     console.log(`${colors.gray}Voice recording will be instant on first use${colors.reset}`);
     
     // Log the model installation
     installLog.setComponent('whisperModel', {
-      model: 'base',
-      size: '74MB',
+      model: modelName,
+      size: modelSize,
       downloaded: true,
       installedAt: new Date().toISOString()
     });
@@ -1121,7 +1148,7 @@ async function main() {
       console.log(`${colors.orange}Some dependencies failed to install${colors.reset}`);
     }
     
-    // Pre-download Whisper base model
+    // Pre-download the configured Whisper model
     await downloadWhisperModel(venvPython);
     
     // Update shell configuration
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { archiveRecording, selectForRemoval } = require('../lib/archive');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MB = 1024 * 1024;
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+
+// Newest first, as listArchive returns them: one 2 MB recording per day
+const FILES = [0, 1, 2, 3, 4].map((daysAgo) => ({
+  path: `/archive/day-${daysAgo}.wav`,
+  size: 2 * MB,
+  mtime: NOW - daysAgo * DAY_MS - 1000
+}));
+
+const removed = (files) => files.map((file) => [file.path, file.reason]);
+
+test('removes nothing without a policy', () => {
+  assert.deepStrictEqual(selectForRemoval(FILES, {}, NOW), []);
+});
+
+test('keep removes everything beyond the newest recordings', () => {
+  assert.deepStrictEqual(removed(selectForRemoval(FILES, { keep: 3 }, NOW)), [
+    ['/archive/day-3.wav', 'beyond newest 3'],
+    ['/archive/day-4.wav', 'beyond newest 3']
+  ]);
+  assert.strictEqual(selectForRemoval(FILES, { keep: 0 }, NOW).length, FILES.length);
+});
+
+test('olderThanMs removes recordings past the age limit', () => {
+  assert.deepStrictEqual(removed(selectForRemoval(FILES, { olderThanMs: 2.5 * DAY_MS }, NOW)), [
+    ['/archive/day-3.wav', 'older than 2.5 days'],
+    ['/archive/day-4.wav', 'older than 2.5 days']
+  ]);
+});
+
+test('maxBytes keeps the newest recordings that fit', () => {
+  assert.deepStrictEqual(removed(selectForRemoval(FILES, { maxBytes: 5 * MB }, NOW)), [
+    ['/archive/day-2.wav', 'over 5 MB total'],
+    ['/archive/day-3.wav', 'over 5 MB total'],
+    ['/archive/day-4.wav', 'over 5 MB total']
+  ]);
+});
+
+test('each recording gets the first reason that applies', () => {
+  const files = selectForRemoval(FILES, { keep: 4, olderThanMs: 2.5 * DAY_MS, maxBytes: 3 * MB }, NOW);
+  assert.deepStrictEqual(removed(files), [
+    ['/archive/day-1.wav', 'over 3 MB total'],
+    ['/archive/day-2.wav', 'over 3 MB total'],
+    ['/archive/day-3.wav', 'older than 2.5 days'],
+    ['/archive/day-4.wav', 'beyond newest 4']
+  ]);
+  // The original file fields come along
+  assert.strictEqual(files[0].size, 2 * MB);
+});
+
+test('a failed recording is kept even with the archive off', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vox-test-'));
+  try {
+    const config = { archive: { enabled: false, dir: path.join(dir, 'archive'), keep: null, maxDays: null, maxSizeMB: null } };
+    const recording = path.join(dir, 'quick_rec_test.wav');
+    fs.writeFileSync(recording, 'RIFF');
+
+    assert.strictEqual(archiveRecording(recording, config), null);
+    assert.ok(fs.existsSync(recording));
+
+    const kept = archiveRecording(recording, config, { failed: true });
+    assert.strictEqual(path.dirname(kept), config.archive.dir);
+    assert.strictEqual(fs.readFileSync(kept, 'utf-8'), 'RIFF');
+    assert.ok(!fs.existsSync(recording));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
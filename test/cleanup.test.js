@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { cleanText, chatCompletion, llmClean, cleanTranscriptText } = require('../lib/cleanup');
+
+const LLM = { url: 'http://127.0.0.1:0/v1', model: 'stub-model', apiKey: null, timeoutMs: 2000 };
+
+// An OpenAI-compatible endpoint answering every request with `reply(body)`:
+// { status, body } or a chat completion content string. Records the requests.
+async function stubServer(reply) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const body = JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+      requests.push({ url: req.url, headers: req.headers, body });
+      const answer = reply(body);
+      const { status, body: payload } = typeof answer === 'string'
+        ? { status: 200, body: { choices: [{ message: { role: 'assistant', content: answer } }] } }
+        : answer;
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    requests,
+    settings: { ...LLM, url: `http://127.0.0.1:${server.address().port}/v1/` },
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+// A port nothing listens on
+async function closedPort() {
+  const server = http.createServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  return port;
+}
+
+const BUILTIN = [
+  ['so, like, the build is, you know, failing', 'The build is failing.'],
+  ['um so the build is failing', 'So the build is failing.'],
+  ['and, uh, bump the the version', 'And bump the version.'],
+  ['I know that that works', 'I know that that works.'],
+  ['fix you know the bug', 'Fix you know the bug.'],
+  ['rename getUserName', 'Rename getUserName'],
+  ['i think i\'m done. next one', 'I think I\'m done. Next one.'],
+  // Each line starts clean and ends its sentence
+  ['first line.\num, so the test', 'First line.\nSo the test.'],
+  ['hello\nuh next', 'Hello.\nNext.'],
+  ['one\n\n  like, two', 'One.\n\nTwo.'],
+  ['done,\nrun make', 'Done,\nRun make.']
+];
+
+test('builtin engine', () => {
+  for (const [input, expected] of BUILTIN) {
+    assert.strictEqual(cleanText(input), expected, input);
+  }
+  assert.strictEqual(cleanText('could you please fix the upload function?', { rephrase: true }), 'Fix the upload function.');
+  assert.strictEqual(cleanText('um the cue ends here', { sentence: false }), 'the cue ends here');
+  assert.strictEqual(cleanText('the cue\nuh ends here', { sentence: false }), 'the cue\nends here');
+});
+
+test('chatCompletion posts to <url>/chat/completions', async () => {
+  const stub = await stubServer(() => 'Cleaned.');
+  try {
+    const messages = [{ role: 'user', content: 'hi' }];
+    assert.strictEqual(await chatCompletion({ ...stub.settings, apiKey: 'secret' }, messages), 'Cleaned.');
+    const [request] = stub.requests;
+    assert.strictEqual(request.url, '/v1/chat/completions');
+    assert.strictEqual(request.headers.authorization, 'Bearer secret');
+    assert.deepStrictEqual(request.body, { model: 'stub-model', messages, temperature: 0, stream: false });
+  } finally {
+    await stub.close();
+  }
+});
+
+test('chatCompletion reports endpoint errors', async () => {
+  const stub = await stubServer((body) => (body.model === 'missing'
+    ? { status: 404, body: { error: { message: 'model "missing" not found' } } }
+    : { status: 200, body: { choices: [] } }));
+  try {
+    await assert.rejects(chatCompletion({ ...stub.settings, model: 'missing' }, []), /model "missing" not found/);
+    await assert.rejects(chatCompletion(stub.settings, []), /sent no chat completion/);
+  } finally {
+    await stub.close();
+  }
+  const port = await closedPort();
+  await assert.rejects(chatCompletion({ ...LLM, url: `http://127.0.0.1:${port}/v1` }, []), /Nothing listening at/);
+});
+
+test('llmClean sends the prompt and tidies the reply', async () => {
+  const stub = await stubServer(() => '<think>The user wants it clean.</think>\n"The build is failing."');
+  try {
+    const cleanup = { rephrase: false, llm: stub.settings };
+    assert.strictEqual(await llmClean('um the build is failing', cleanup), 'The build is failing.');
+    const [system, user] = stub.requests[0].body.messages;
+    assert.strictEqual(system.role, 'system');
+    assert.doesNotMatch(system.content, /coding assistant/);
+    assert.deepStrictEqual(user, { role: 'user', content: 'um the build is failing' });
+
+    await llmClean('could you fix it', { rephrase: true, llm: stub.settings });
+    assert.match(stub.requests[1].body.messages[0].content, /coding assistant/);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('llmClean rejects an empty reply', async () => {
+  const stub = await stubServer(() => '<think>Nothing to say.</think>');
+  try {
+    await assert.rejects(llmClean('um', { rephrase: false, llm: stub.settings }), /stub-model returned an empty reply/);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('the llm engine falls back to builtin when the endpoint is down', async () => {
+  const port = await closedPort();
+  const cleanup = { engine: 'llm', rephrase: false, llm: { ...LLM, url: `http://127.0.0.1:${port}/v1` } };
+  const cleaned = await cleanTranscriptText('um, the build is failing', cleanup, 'en');
+  assert.strictEqual(cleaned.engine, 'builtin');
+  assert.strictEqual(cleaned.text, 'The build is failing.');
+  assert.match(cleaned.error.message, /Nothing listening at/);
+
+  const stub = await stubServer(() => 'The build is failing.');
+  try {
+    const answered = await cleanTranscriptText('um, the build is failing', { ...cleanup, llm: stub.settings }, 'en');
+    assert.deepStrictEqual(answered, { text: 'The build is failing.', engine: 'llm', error: null });
+  } finally {
+    await stub.close();
+  }
+});
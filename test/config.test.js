@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// config.js reads ~/.config/koshi-vox, so point HOME at a scratch directory first
+const HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'vox-test-'));
+process.env.HOME = HOME;
+const config = require('../lib/config');
+
+test.after(() => fs.rmSync(HOME, { recursive: true, force: true }));
+
+function withModel(model) {
+  return { ...config.DEFAULTS, model: { ...config.DEFAULTS.model, ...model } };
+}
+
+test('config file lives under the home directory', () => {
+  assert.strictEqual(config.CONFIG_PATH, path.join(HOME, '.config', 'koshi-vox', 'config.json'));
+});
+
+test('defaults are valid', () => {
+  assert.deepStrictEqual(config.validateConfig(config.DEFAULTS), []);
+});
+
+test('validateConfig reports every problem', () => {
+  const errors = config.validateConfig(withModel({ device: 'gpu', beamSize: 0 }));
+  assert.strictEqual(errors.length, 2);
+  assert.match(errors[0], /^model\.device must be one of: cpu, cuda, auto$/);
+  assert.match(errors[1], /^model\.beamSize must be a positive integer$/);
+  assert.deepStrictEqual(config.validateConfig({ ...config.DEFAULTS, server: { ...config.DEFAULTS.server, port: 70000 } }), [
+    'server.port must be a valid TCP port'
+  ]);
+});
+
+test('setValue stores only the changed key and loadConfig merges it over the defaults', () => {
+  assert.strictEqual(config.setValue('model.beamSize', '5'), 5);
+  assert.deepStrictEqual(config.readUserConfig(), { model: { beamSize: 5 } });
+
+  const loaded = config.loadConfig();
+  assert.strictEqual(loaded.model.beamSize, 5);
+  assert.strictEqual(loaded.model.size, config.DEFAULTS.model.size);
+  assert.strictEqual(config.getValue(loaded, 'server.port'), config.DEFAULTS.server.port);
+
+  config.unsetValue('model.beamSize');
+  assert.deepStrictEqual(config.readUserConfig(), { model: {} });
+  assert.strictEqual(config.loadConfig().model.beamSize, config.DEFAULTS.model.beamSize);
+});
+
+test('setValue refuses a value loadConfig would reject', () => {
+  const before = config.readUserConfig();
+  assert.throws(() => config.setValue('model.device', 'gpu'), /model\.device must be one of/);
+  assert.deepStrictEqual(config.readUserConfig(), before);
+});
+
+test('loadConfig names the file when it cannot be parsed', () => {
+  fs.writeFileSync(config.CONFIG_PATH, '{ not json');
+  try {
+    assert.throws(() => config.loadConfig(), (error) => error.message.startsWith(`Could not parse ${config.CONFIG_PATH}`));
+  } finally {
+    fs.rmSync(config.CONFIG_PATH);
+  }
+});
+
+test('ensureConfigFile writes only the model settings, once', () => {
+  fs.rmSync(config.CONFIG_PATH, { force: true });
+  assert.strictEqual(config.ensureConfigFile(), true);
+  assert.deepStrictEqual(config.readUserConfig(), { model: config.DEFAULTS.model });
+  assert.deepStrictEqual(config.loadConfig(), config.DEFAULTS);
+
+  config.setValue('model.size', 'small');
+  assert.strictEqual(config.ensureConfigFile(), false);
+  assert.strictEqual(config.loadConfig().model.size, 'small');
+  fs.rmSync(config.CONFIG_PATH);
+});
+
+test('applyOverrides applies key=value pairs to a copy', () => {
+  const result = config.applyOverrides(config.DEFAULTS, ['language=auto', 'model.beamSize=5']);
+  assert.strictEqual(result.language, 'auto');
+  assert.strictEqual(result.model.beamSize, 5);
+  assert.strictEqual(config.DEFAULTS.language, 'en');
+  assert.strictEqual(config.DEFAULTS.model.beamSize, 1);
+});
+
+test('applyOverrides rejects malformed and invalid overrides', () => {
+  assert.throws(() => config.applyOverrides(config.DEFAULTS, ['language']), /^Error: Invalid override "language" \(expected key=value\)$/);
+  assert.throws(() => config.applyOverrides(config.DEFAULTS, ['=en']), /expected key=value/);
+  assert.throws(() => config.applyOverrides(config.DEFAULTS, ['model.beamSize=0']), /model\.beamSize must be a positive integer/);
+  assert.throws(() => config.applyOverrides(config.DEFAULTS, ['language=English']), /language must be "auto" or a Whisper language code/);
+});
+
+test('language has to be one Whisper knows', () => {
+  for (const language of ['auto', 'en', 'haw', 'yue']) {
+    assert.strictEqual(config.applyOverrides(config.DEFAULTS, [`language=${language}`]).language, language);
+  }
+  for (const language of ['xx', 'EN', 'eng', 'en-US', '']) {
+    assert.throws(() => config.applyOverrides(config.DEFAULTS, [`language=${language}`]), /language must be "auto"/, language);
+  }
+});
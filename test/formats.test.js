@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { formatTimestamp, formatTranscript } = require('../lib/formats');
+
+const RESULT = {
+  text: 'Hello world. Second --> part',
+  language: 'en',
+  language_probability: 0.98,
+  task: 'transcribe',
+  duration: 4.5,
+  segments: [
+    { start: 0, end: 1.5, text: 'Hello world.' },
+    { start: 1.5, end: 3725.25, text: 'Second --> part' }
+  ]
+};
+
+const WORDS = {
+  ...RESULT,
+  segments: [{
+    start: 0,
+    end: 1.2,
+    text: 'Hi there',
+    words: [{ start: 0, end: 0.5, word: 'Hi' }, { start: 0.6, end: 1.2, word: 'there' }]
+  }]
+};
+
+test('timestamps', () => {
+  const cases = [
+    [0, ',', '00:00:00,000'],
+    [1.5, '.', '00:00:01.500'],
+    [61.0004, ',', '00:01:01,000'],
+    [3725.25, ',', '01:02:05,250'],
+    [59.9996, '.', '00:01:00.000']
+  ];
+  for (const [seconds, separator, expected] of cases) {
+    assert.strictEqual(formatTimestamp(seconds, separator), expected, String(seconds));
+  }
+});
+
+test('text is the plain transcript', () => {
+  assert.strictEqual(formatTranscript(RESULT), RESULT.text);
+  assert.strictEqual(formatTranscript(RESULT, 'text'), RESULT.text);
+});
+
+test('json', () => {
+  const parsed = JSON.parse(formatTranscript({ ...RESULT, extra: true }, 'json'));
+  assert.strictEqual(parsed.text, RESULT.text);
+  assert.strictEqual(parsed.language_probability, 0.98);
+  assert.deepStrictEqual(parsed.segments, RESULT.segments);
+  assert.strictEqual(parsed.extra, undefined);
+});
+
+test('srt', () => {
+  assert.strictEqual(formatTranscript(RESULT, 'srt'), [
+    '1',
+    '00:00:00,000 --> 00:00:01,500',
+    'Hello world.',
+    '',
+    '2',
+    '00:00:01,500 --> 01:02:05,250',
+    'Second -> part',
+    ''
+  ].join('\n'));
+});
+
+test('vtt', () => {
+  assert.strictEqual(formatTranscript(RESULT, 'vtt'), [
+    'WEBVTT',
+    '',
+    '00:00:00.000 --> 00:00:01.500',
+    'Hello world.',
+    '',
+    '00:00:01.500 --> 01:02:05.250',
+    'Second -> part',
+    ''
+  ].join('\n'));
+  assert.strictEqual(formatTranscript(WORDS, 'vtt').split('\n')[3], 'Hi <00:00:00.600>there');
+});
+
+test('tsv', () => {
+  assert.strictEqual(formatTranscript(RESULT, 'tsv'), 'start\tend\ttext\n0\t1500\tHello world.\n1500\t3725250\tSecond --> part');
+  assert.strictEqual(formatTranscript(WORDS, 'tsv'), 'start\tend\ttext\n0\t500\tHi\n600\t1200\tthere');
+});
+
+test('no segments', () => {
+  const empty = { text: '' };
+  assert.strictEqual(formatTranscript(empty, 'srt'), '');
+  assert.strictEqual(formatTranscript(empty, 'vtt'), 'WEBVTT\n');
+  assert.strictEqual(formatTranscript(empty, 'tsv'), 'start\tend\ttext');
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { prune } = require('../lib/history');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+
+// One entry per day, oldest first, the newest from today
+const ENTRIES = [5, 4, 3, 2, 1, 0].map((daysAgo, index) => ({
+  id: index + 1,
+  timestamp: new Date(NOW - daysAgo * DAY_MS).toISOString(),
+  text: `entry ${index + 1}`
+}));
+
+const ids = (entries) => entries.map((entry) => entry.id);
+
+test('keeps everything without limits', () => {
+  assert.deepStrictEqual(ids(prune(ENTRIES, {}, NOW)), [1, 2, 3, 4, 5, 6]);
+  assert.deepStrictEqual(ids(prune(ENTRIES, { maxEntries: null, maxDays: null }, NOW)), [1, 2, 3, 4, 5, 6]);
+});
+
+test('maxEntries keeps the newest entries', () => {
+  assert.deepStrictEqual(ids(prune(ENTRIES, { maxEntries: 2 }, NOW)), [5, 6]);
+  assert.deepStrictEqual(ids(prune(ENTRIES, { maxEntries: 10 }, NOW)), [1, 2, 3, 4, 5, 6]);
+});
+
+test('maxDays drops entries older than the window', () => {
+  assert.deepStrictEqual(ids(prune(ENTRIES, { maxDays: 2 }, NOW)), [4, 5, 6]);
+  assert.deepStrictEqual(ids(prune(ENTRIES, { maxDays: 0.5 }, NOW)), [6]);
+});
+
+test('both limits apply together', () => {
+  assert.deepStrictEqual(ids(prune(ENTRIES, { maxEntries: 2, maxDays: 3 }, NOW)), [5, 6]);
+  assert.deepStrictEqual(ids(prune(ENTRIES, { maxEntries: 5, maxDays: 1 }, NOW)), [5, 6]);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Recorder } = require('../lib/recorder');
+
+// A stand-in arecord that writes `writes` (byte arrays) to stdout one at a time,
+// with a pause in between so each arrives as its own chunk
+function fakeArecord(dir, writes) {
+  const script = path.join(dir, 'arecord');
+  fs.writeFileSync(script, [
+    `#!${process.execPath}`,
+    `const writes = ${JSON.stringify(writes)};`,
+    'let i = 0;',
+    'const next = () => i < writes.length && process.stdout.write(Buffer.from(writes[i++]), () => setTimeout(next, 50));',
+    'next();'
+  ].join('\n'), { mode: 0o755 });
+}
+
+test('samples split between two chunks are put back together', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vox-test-'));
+  const pathBefore = process.env.PATH;
+  try {
+    // Three samples of 0x4000 (half of full scale), cut at odd offsets
+    fakeArecord(dir, [[0x00], [0x40, 0x00, 0x40, 0x00], [0x40]]);
+    process.env.PATH = `${dir}${path.delimiter}${pathBefore}`;
+
+    const recorder = new Recorder({ backend: 'arecord', file: path.join(dir, 'out.wav') });
+    const chunks = [];
+    const peaks = [];
+    recorder.on('data', (chunk) => chunks.push(chunk.length));
+    recorder.on('level', (levels) => peaks.push(levels.peak));
+    await recorder.start();
+    const summary = await recorder.finished;
+
+    assert.deepStrictEqual(chunks, [4, 2]);
+    assert.deepStrictEqual(peaks, [0.5, 0.5]);
+    assert.strictEqual(summary.bytes, 6);
+    assert.deepStrictEqual([...fs.readFileSync(path.join(dir, 'out.wav')).subarray(44)], [0x00, 0x40, 0x00, 0x40, 0x00, 0x40]);
+  } finally {
+    process.env.PATH = pathBefore;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
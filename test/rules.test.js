@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { applyRules, applyRulesToResult, validateReplacements } = require('../lib/rules');
+
+const RULES = { enabled: true, replacements: [], spokenPunctuation: true, casing: true };
+
+// [input, expected] per case, run through the default rules
+const SPOKEN = [
+  ['hello comma world', 'hello, world'],
+  ['Hello, comma world.', 'Hello, world.'],
+  ['wait. Question mark', 'wait?'],
+  ['x semi colon y colon z', 'x; y: z'],
+  ['call Open-paren x close paren', 'call (x)'],
+  ['first line. New line. Second line', 'first line.\nSecond line'],
+  ['hello, new line world', 'hello,\nworld'],
+  ['a new paragraph b', 'a\n\nb'],
+  ['new paragraph hello new line', 'hello'],
+  // Chained commands keep what the earlier ones produced
+  ['call foo open paren close paren semicolon', 'call foo ();'],
+  ['he said open quote hi close quote comma then left', 'he said "hi", then left'],
+  ['the list open square bracket one close square bracket full stop', 'the list [one].'],
+  ['call open paren open paren x close paren close paren', 'call ((x))'],
+  ['if x close paren open brace', 'if x) {'],
+  ['done full stop new line next', 'done.\nnext'],
+  ['new line open paren x close paren', '(x)']
+];
+
+const CASING = [
+  ['camel case foo bar comma done', 'fooBar, done'],
+  ['pascal case user service end case is here', 'UserService is here'],
+  ['snake case max retry count', 'max_retry_count'],
+  ['kebab case main nav.', 'main-nav.'],
+  ['constant case api key', 'API_KEY'],
+  ['a case of water', 'a case of water']
+];
+
+test('spoken punctuation', () => {
+  for (const [input, expected] of SPOKEN) {
+    assert.strictEqual(applyRules(input, RULES), expected, input);
+  }
+});
+
+test('casing commands', () => {
+  for (const [input, expected] of CASING) {
+    assert.strictEqual(applyRules(input, RULES), expected, input);
+  }
+});
+
+test('stages can be switched off', () => {
+  assert.strictEqual(applyRules('hello comma world', { ...RULES, enabled: false }), 'hello comma world');
+  assert.strictEqual(applyRules('hello comma world', { ...RULES, spokenPunctuation: false }), 'hello comma world');
+  assert.strictEqual(applyRules('camel case foo bar', { ...RULES, casing: false }), 'camel case foo bar');
+});
+
+test('replacements', () => {
+  const replacements = [
+    { from: 'get hub', to: 'GitHub' },
+    { from: 'node', to: 'Node.js' },
+    { pattern: '\\bv(\\d+)\\b', to: 'version $1' }
+  ];
+  const cases = [
+    ['push to get hub', 'push to GitHub'],
+    ['Get Hub and node', 'GitHub and Node.js'],
+    ['nodes stay', 'nodes stay'],
+    ['upgrade to v3', 'upgrade to version 3']
+  ];
+  for (const [input, expected] of cases) {
+    assert.strictEqual(applyRules(input, { ...RULES, replacements }), expected, input);
+  }
+});
+
+test('segments stay on one line', () => {
+  const result = applyRulesToResult({
+    text: 'a new paragraph b new line c',
+    segments: [{ start: 0, end: 2, text: 'a new paragraph b new line c' }]
+  }, RULES);
+  assert.strictEqual(result.text, 'a\n\nb\nc');
+  assert.strictEqual(result.segments[0].text, 'a b c');
+});
+
+test('invalid replacements are reported', () => {
+  assert.deepStrictEqual(validateReplacements([{ from: 'a', to: 'b' }, { pattern: 'x', to: 'y' }]), []);
+  assert.strictEqual(validateReplacements({}).length, 1);
+  assert.match(validateReplacements([{ to: 'b' }])[0], /needs "to"/);
+  assert.match(validateReplacements([{ from: '', to: 'b' }])[0], /must not be empty/);
+  assert.match(validateReplacements([{ pattern: '(', to: 'b' }])[0], /^rules\.replacements\[0\]: /);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_TEMPLATES, renderTemplate, templateContext, templateFile } = require('../lib/templates');
+
+// [body, expected] rendered with CONTEXT
+const CONTEXT = { transcript: 'it crashes', branch: 'main', file: '', file_path: '' };
+const RENDER = [
+  ['Do this: {{transcript}}', 'Do this: it crashes'],
+  ['{{transcript}} on {{branch}}, {{branch}}', 'it crashes on main, main'],
+  ['{{#branch}}Branch: {{branch}}{{/branch}}', 'Branch: main'],
+  ['a{{#file}} File {{file_path}}: {{file}}{{/file}}b', 'ab'],
+  ['{{#branch}}x\ny{{/branch}}', 'x\ny'],
+  // Unknown names stay as written
+  ['{{unknown}} and {{#unknown}}kept{{/unknown}}', '{{unknown}} and {{#unknown}}kept{{/unknown}}'],
+  ['{{ transcript }} {transcript}', '{{ transcript }} {transcript}']
+];
+
+test('renderTemplate fills values and sections', () => {
+  for (const [body, expected] of RENDER) {
+    assert.strictEqual(renderTemplate(body, CONTEXT), expected, body);
+  }
+});
+
+test('a value is not treated as template syntax', () => {
+  assert.strictEqual(renderTemplate('{{transcript}}', { transcript: 'say {{branch}}', branch: 'main' }), 'say {{branch}}');
+});
+
+test('default templates drop empty branch and file sections', () => {
+  const bugfix = renderTemplate(DEFAULT_TEMPLATES.bugfix, { ...CONTEXT, branch: '' });
+  assert.ok(bugfix.startsWith('Fix the following bug.\n\nit crashes\n\nFind the root cause'));
+  assert.doesNotMatch(bugfix, /\{\{|Branch:|```/);
+
+  const review = renderTemplate(DEFAULT_TEMPLATES.review, { ...CONTEXT, file: 'x = 1', file_path: 'a.py' });
+  assert.ok(review.startsWith('Review the following on branch `main`.\n\nit crashes\n\n`a.py`:\n```\nx = 1\n```'));
+});
+
+test('template names cannot be paths', () => {
+  assert.strictEqual(path.basename(templateFile('code-review_2')), 'code-review_2.md');
+  for (const name of ['../x', 'a/b', '', 'a.b']) {
+    assert.throws(() => templateFile(name), /Invalid template name/);
+  }
+});
+
+test('templateContext reads the file relative to cwd', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vox-test-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'main.js'), 'run();\n\n');
+    const context = templateContext('fix it', { file: 'main.js', cwd: dir });
+    assert.strictEqual(context.transcript, 'fix it');
+    assert.strictEqual(context.file, 'run();');
+    assert.strictEqual(context.file_path, 'main.js');
+    assert.strictEqual(context.branch, '');
+    assert.throws(() => templateContext('fix it', { file: 'missing.js', cwd: dir }), /No such file/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
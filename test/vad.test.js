@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SilenceDetector } = require('../lib/vad');
+
+const QUIET = -60;
+const SPEECH = -20;
+
+// Quarter-second chunks add up exactly, so the stop times below are exact
+const CHUNK = 0.25;
+
+// Feed a run of chunks at one level; returns how far into the run it stopped, or null
+function feedFor(detector, rmsDb, seconds) {
+  for (let chunk = 1; chunk * CHUNK <= seconds; chunk++) {
+    if (detector.feed({ rmsDb, duration: CHUNK })) {
+      return chunk * CHUNK;
+    }
+  }
+  return null;
+}
+
+test('stops after the trailing silence once speech has started', () => {
+  const detector = new SilenceDetector({ silenceSeconds: 1, minSeconds: 0 });
+  assert.strictEqual(feedFor(detector, QUIET, 0.5), null);
+  assert.strictEqual(feedFor(detector, SPEECH, 1), null);
+  assert.strictEqual(feedFor(detector, QUIET, 2), 1);
+});
+
+test('keeps waiting while nobody has spoken', () => {
+  const detector = new SilenceDetector({ silenceSeconds: 1, minSeconds: 0 });
+  assert.strictEqual(feedFor(detector, QUIET, 10), null);
+});
+
+test('a pause shorter than silenceSeconds does not stop', () => {
+  const detector = new SilenceDetector({ silenceSeconds: 1.5, minSeconds: 0 });
+  feedFor(detector, QUIET, 0.5);
+  feedFor(detector, SPEECH, 0.5);
+  assert.strictEqual(feedFor(detector, QUIET, 1), null);
+  assert.strictEqual(feedFor(detector, SPEECH, 0.5), null);
+  assert.strictEqual(feedFor(detector, QUIET, 2), 1.5);
+});
+
+test('never stops before minSeconds', () => {
+  const detector = new SilenceDetector({ silenceSeconds: 0.5, minSeconds: 3 });
+  feedFor(detector, QUIET, 0.25);
+  feedFor(detector, SPEECH, 0.25);
+  // 0.5s in; the silence is long enough after 1s but the recording is not
+  assert.strictEqual(feedFor(detector, QUIET, 5), 2.5);
+});
+
+test('treats digital silence as the noise floor', () => {
+  const detector = new SilenceDetector({ silenceSeconds: 0.5, minSeconds: 0 });
+  feedFor(detector, -Infinity, 0.5);
+  feedFor(detector, SPEECH, 0.5);
+  assert.strictEqual(feedFor(detector, -Infinity, 1), 0.5);
+});